@@ -7,6 +7,7 @@ import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Projects from './pages/Projects';
 import Deployments from './pages/Deployments';
+import Webhooks from './pages/Webhooks';
 import EnvironmentVariables from './pages/EnvironmentVariables';
 import Containers from './pages/Containers';
 import Databases from './pages/Databases';
@@ -24,6 +25,7 @@ function App() {
                 <Route index element={<Dashboard />} />
                 <Route path="projects" element={<Projects />} />
                 <Route path="deployments" element={<Deployments />} />
+                <Route path="webhooks" element={<Webhooks />} />
                 <Route path="environment" element={<EnvironmentVariables />} />
                 <Route path="containers" element={<Containers />} />
                 <Route path="databases" element={<Databases />} />
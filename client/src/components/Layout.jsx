@@ -9,6 +9,7 @@ import {
   Variable, 
   Container, 
   Database,
+  Webhook,
   Moon,
   Sun,
   LogOut,
@@ -29,6 +30,7 @@ export default function Layout() {
     { path: '/', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/projects', icon: FolderGit2, label: 'Projects' },
     { path: '/deployments', icon: Rocket, label: 'Deployments' },
+    { path: '/webhooks', icon: Webhook, label: 'Webhooks' },
     { path: '/environment', icon: Variable, label: 'Environment' },
     { path: '/containers', icon: Container, label: 'Containers' },
     { path: '/databases', icon: Database, label: 'Databases' },
@@ -1,7 +1,44 @@
 import { useState, useEffect } from 'react';
 import { useSocket } from '../contexts/SocketContext';
 import { deploymentsAPI } from '../services/api';
-import { Clock, CheckCircle, XCircle, Loader, Trash2, FileText, ChevronDown, Plus } from 'lucide-react';
+import { Clock, CheckCircle, XCircle, Loader, Trash2, FileText, ChevronDown, Plus, RotateCcw, Ban, ShieldCheck, Download, AlertTriangle } from 'lucide-react';
+
+const LOGS_PAGE_SIZE = 1000;
+
+// Command output is tagged with the step that produced it (e.g. "docker build")
+const formatLogLine = (log) => `${log.timestamp ? log.timestamp.substring(11, 19) : ''} [${log.step || log.level || 'info'}] ${log.message}`;
+
+const STAGE_LABELS = {
+  cleanup: 'Cleanup',
+  checkout: 'Checkout',
+  release: 'Load release',
+  build: 'Build',
+  environment: 'Environment',
+  pre_deploy: 'Pre-deploy',
+  start: 'Start',
+  health: 'Health check',
+  dns: 'DNS',
+  nginx: 'Nginx',
+  retire: 'Retire previous',
+  ssl: 'SSL',
+  post_deploy: 'Post-deploy',
+};
+
+const STAGE_COLORS = {
+  running: 'bg-primary',
+  success: 'bg-[hsl(var(--success))]',
+  warning: 'bg-[hsl(var(--warning))]',
+  failed: 'bg-destructive',
+  cancelled: 'bg-muted-foreground',
+  interrupted: 'bg-muted-foreground',
+};
+
+const formatDuration = (ms) => {
+  if (ms == null) return '…';
+  if (ms < 1000) return `${ms}ms`;
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
 
 export default function Deployments() {
   const [activeTab, setActiveTab] = useState('history');
@@ -11,6 +48,8 @@ export default function Deployments() {
   const [showLogsModal, setShowLogsModal] = useState(false);
   const [selectedDeployment, setSelectedDeployment] = useState(null);
   const [logs, setLogs] = useState('');
+  const [logsPage, setLogsPage] = useState({ loaded: 0, total: 0, loading: false });
+  const [stages, setStages] = useState([]);
   const { socket } = useSocket();
 
   // Initial load
@@ -28,7 +67,7 @@ export default function Deployments() {
         setDeployments(prev => {
           const updated = prev.map(d => 
             d.id === data.deploymentId || d.project_name === data.projectName 
-              ? { ...d, ...data, status: data.status } 
+              ? { ...d, ...data, status: data.status, failed_stage: data.failedStage ?? d.failed_stage } 
               : d
           );
           // Add new deployment if not exists
@@ -44,8 +83,19 @@ export default function Deployments() {
 
       // Live log streaming
       socket.on('deployment:log', (data) => {
+        // Live lines are only appended once every stored line is shown
+        if (selectedDeployment && data.deploymentId === selectedDeployment.id && !logsPage.loading && logsPage.loaded >= logsPage.total) {
+          setLogs(prev => (prev ? `${prev}\n` : '') + formatLogLine(data.log));
+          setLogsPage(prev => ({ ...prev, loaded: prev.loaded + 1, total: prev.total + 1 }));
+        }
+      });
+
+      // Stage timeline of the open deployment
+      socket.on('deployment:stage', (data) => {
         if (selectedDeployment && data.deploymentId === selectedDeployment.id) {
-          setLogs(prev => prev + `\n${data.log.timestamp?.substring(11, 19) || ''} [${data.log.level}] ${data.log.message}`);
+          setStages(prev => prev.some(s => s.name === data.stage.name)
+            ? prev.map(s => (s.name === data.stage.name ? data.stage : s))
+            : [...prev, data.stage]);
         }
       });
 
@@ -58,10 +108,11 @@ export default function Deployments() {
       return () => {
         socket.off('deployment:status');
         socket.off('deployment:log');
+        socket.off('deployment:stage');
         socket.off('deployment:queued');
       };
     }
-  }, [socket, selectedDeployment]);
+  }, [socket, selectedDeployment, logsPage]);
 
   const loadData = async () => {
     try {
@@ -76,6 +127,14 @@ export default function Deployments() {
       
       setDeployments(deploymentsRes.data.deployments || []);
       setQueue(queueRes.data.queue || []);
+
+      // Commit statuses in GitLab link to /deployments?deployment=<id>
+      const linkedId = new URLSearchParams(window.location.search).get('deployment');
+      const linked = linkedId && (deploymentsRes.data.deployments || []).find(d => d.id === linkedId);
+      if (linked) {
+        window.history.replaceState(null, '', window.location.pathname);
+        handleShowLogs(linked);
+      }
     } catch (error) {
       console.error('Failed to load deployments:', error);
     } finally {
@@ -87,26 +146,44 @@ export default function Deployments() {
     setSelectedDeployment(deployment);
     setShowLogsModal(true);
     setLogs('Loading logs...');
+    setLogsPage({ loaded: 0, total: 0, loading: true });
+    setStages([]);
+
+    deploymentsAPI.getStages(deployment.id)
+      .then(response => setStages(response.data.stages || []))
+      .catch(error => console.error('Failed to load stages:', error));
     
     try {
-      const response = await deploymentsAPI.getLogs(deployment.id);
+      const response = await deploymentsAPI.getLogs(deployment.id, { offset: 0, limit: LOGS_PAGE_SIZE });
       const logsData = response.data.logs || [];
-      const logsText = logsData.map(log => 
-        `${log.timestamp ? log.timestamp.substring(11, 19) : ''} [${log.level || 'info'}] ${log.message}`
-      ).join('\n');
-      setLogs(logsText || 'No logs available');
+      setLogs(logsData.map(formatLogLine).join('\n'));
+      setLogsPage({ loaded: logsData.length, total: response.data.total ?? logsData.length, loading: false });
     } catch (error) {
       setLogs('Failed to load logs: ' + error.message);
+      setLogsPage({ loaded: 0, total: 0, loading: false });
+    }
+  };
+
+  const handleLoadMoreLogs = async () => {
+    setLogsPage(prev => ({ ...prev, loading: true }));
+    try {
+      const response = await deploymentsAPI.getLogs(selectedDeployment.id, { offset: logsPage.loaded, limit: LOGS_PAGE_SIZE });
+      const logsData = response.data.logs || [];
+      setLogs(prev => [prev, ...logsData.map(formatLogLine)].filter(Boolean).join('\n'));
+      setLogsPage(prev => ({ loaded: prev.loaded + logsData.length, total: response.data.total, loading: false }));
+    } catch (error) {
+      alert('❌ Failed to load logs: ' + error.message);
+      setLogsPage(prev => ({ ...prev, loading: false }));
     }
   };
 
-  const handleDeleteDeployment = async (project, branch) => {
-    if (!window.confirm(`Delete deployment for ${project} (${branch})?\n\nThis will:\n- Stop the container\n- Remove nginx config\n- Delete SSL certificate`)) {
+  const handleDeleteDeployment = async (project, branch, app) => {
+    if (!window.confirm(`Delete deployment for ${app ? `${project}/${app}` : project} (${branch})?\n\nThis will:\n- Stop the container\n- Remove nginx config\n- Delete SSL certificate`)) {
       return;
     }
 
     try {
-      await deploymentsAPI.delete(project, branch);
+      await deploymentsAPI.delete(project, branch, app || undefined);
       alert('✅ Deployment deleted successfully');
       loadData();
     } catch (error) {
@@ -114,6 +191,34 @@ export default function Deployments() {
     }
   };
 
+  const handleRollback = async (deployment) => {
+    const commit = deployment.commit_hash ? deployment.commit_hash.substring(0, 8) : deployment.id;
+    if (!window.confirm(`Roll back ${deployment.project_name} (${deployment.branch}) to ${commit}?\n\nThe image and environment variables of that deployment will be redeployed.`)) {
+      return;
+    }
+
+    try {
+      await deploymentsAPI.rollback(deployment.id);
+      alert('✅ Rollback queued');
+      loadData();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleCancel = async (deployment) => {
+    if (!window.confirm(`Cancel deployment of ${deployment.project_name || deployment.projectName} (${deployment.branch})?`)) {
+      return;
+    }
+
+    try {
+      await deploymentsAPI.cancel(deployment.id);
+      loadData();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const activeDeployments = deployments.filter(d => 
     d.status === 'success' || d.status === 'deployed' || d.status === 'active'
   );
@@ -234,7 +339,10 @@ export default function Deployments() {
                 deployment={deployment}
                 onShowLogs={handleShowLogs}
                 onDelete={handleDeleteDeployment}
+                onRollback={handleRollback}
+                onCancel={handleCancel}
                 isActive={activeTab === 'active'}
+                isHistory={activeTab === 'history'}
               />
             ))
           )}
@@ -246,10 +354,14 @@ export default function Deployments() {
         <LogsModal
           deployment={selectedDeployment}
           logs={logs}
+          logsPage={logsPage}
+          stages={stages}
+          onLoadMore={handleLoadMoreLogs}
           onClose={() => {
             setShowLogsModal(false);
             setSelectedDeployment(null);
             setLogs('');
+            setStages([]);
           }}
         />
       )}
@@ -257,7 +369,7 @@ export default function Deployments() {
   );
 }
 
-function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
+function DeploymentCard({ deployment, onShowLogs, onDelete, onRollback, onCancel, isActive, isHistory }) {
   const getStatusConfig = (status) => {
     if (status === 'success' || status === 'deployed' || status === 'active') {
       return { 
@@ -275,6 +387,30 @@ function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
         label: 'Failed',
         dot: 'bg-[hsl(var(--destructive))]'
       };
+    } else if (status === 'superseded') {
+      return { 
+        icon: Clock, 
+        color: 'text-muted-foreground', 
+        bg: 'bg-muted/50', 
+        label: 'Superseded',
+        dot: 'bg-muted-foreground'
+      };
+    } else if (status === 'cancelled') {
+      return { 
+        icon: Ban, 
+        color: 'text-muted-foreground', 
+        bg: 'bg-muted/50', 
+        label: 'Cancelled',
+        dot: 'bg-muted-foreground'
+      };
+    } else if (status === 'interrupted') {
+      return { 
+        icon: XCircle, 
+        color: 'text-[hsl(var(--warning))]', 
+        bg: 'bg-[hsl(var(--warning))]/10', 
+        label: 'Interrupted',
+        dot: 'bg-[hsl(var(--warning))]'
+      };
     } else if (status === 'building' || status === 'in-progress') {
       return { 
         icon: Loader, 
@@ -321,6 +457,7 @@ function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
             <div className="flex items-center gap-3 mb-1.5">
               <h3 className="text-sm font-semibold text-foreground">
                 {deployment.project_name}
+                {deployment.app_name && <span className="text-muted-foreground font-normal"> / {deployment.app_name}</span>}
               </h3>
               <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${statusConfig.bg} ${statusConfig.color}`}>
                 <StatusIcon className="w-3 h-3" />
@@ -352,6 +489,31 @@ function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
                 </div>
               )}
               
+              {deployment.pipeline_id && (
+                <div className="flex items-center gap-1.5">
+                  <span className="font-medium">CI:</span>
+                  <a
+                    href={deployment.pipeline_url || undefined}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-[hsl(var(--success))] hover:underline font-mono text-[10px]"
+                    title="Deployed after this pipeline passed"
+                  >
+                    <ShieldCheck className="w-3 h-3" />
+                    #{deployment.pipeline_id} passed
+                  </a>
+                </div>
+              )}
+              
+              {deployment.status === 'failed' && deployment.failed_stage && (
+                <div className="flex items-center gap-1.5 text-destructive">
+                  <span className="font-medium">Failed at:</span>
+                  <span className="font-mono bg-destructive/10 px-1.5 py-0.5 rounded text-[10px]">
+                    {STAGE_LABELS[deployment.failed_stage] || deployment.failed_stage}
+                  </span>
+                </div>
+              )}
+              
               {deployment.domain && deployment.domain !== 'Pending...' && (
                 <div className="flex items-center gap-1.5">
                   <span className="font-medium">Domain:</span>
@@ -384,9 +546,27 @@ function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
               <FileText className="w-3.5 h-3.5" />
             </button>
           )}
+          {deployment.id && (deployment.status === 'queued' || deployment.status === 'building') && (
+            <button
+              onClick={() => onCancel(deployment)}
+              className="p-1.5 rounded bg-destructive/10 hover:bg-destructive/20 text-destructive transition-colors"
+              title="Cancel Deployment"
+            >
+              <Ban className="w-3.5 h-3.5" />
+            </button>
+          )}
+          {isHistory && deployment.status === 'success' && (deployment.image_tag || deployment.release_path) && (
+            <button
+              onClick={() => onRollback(deployment)}
+              className="p-1.5 rounded bg-secondary hover:bg-secondary/80 text-foreground transition-colors"
+              title="Roll back to this deployment"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+            </button>
+          )}
           {isActive && (
             <button
-              onClick={() => onDelete(deployment.project_name, deployment.branch)}
+              onClick={() => onDelete(deployment.project_name, deployment.branch, deployment.app_name)}
               className="p-1.5 rounded bg-destructive/10 hover:bg-destructive/20 text-destructive transition-colors"
               title="Delete Deployment"
             >
@@ -399,7 +579,45 @@ function DeploymentCard({ deployment, onShowLogs, onDelete, isActive }) {
   );
 }
 
-function LogsModal({ deployment, logs, onClose }) {
+function StageTimeline({ stages }) {
+  if (stages.length === 0) return null;
+
+  // Running stages have no duration yet; give them a sliver of the bar
+  const total = stages.reduce((sum, stage) => sum + (stage.duration_ms || 0), 0) || 1;
+
+  return (
+    <div className="px-5 pt-4">
+      <div className="flex h-2 rounded overflow-hidden bg-muted">
+        {stages.map(stage => (
+          <div
+            key={stage.name}
+            className={`${STAGE_COLORS[stage.status] || 'bg-muted-foreground'} border-r border-card last:border-r-0`}
+            style={{ width: `${Math.max(((stage.duration_ms || 0) / total) * 100, 1)}%` }}
+            title={`${STAGE_LABELS[stage.name] || stage.name}: ${formatDuration(stage.duration_ms)}`}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1.5 mt-2.5">
+        {stages.map(stage => (
+          <div key={stage.name} className="flex items-center gap-1.5 text-[11px]" title={stage.error || undefined}>
+            {stage.status === 'running' && <Loader className="w-3 h-3 animate-spin text-primary" />}
+            {stage.status === 'success' && <CheckCircle className="w-3 h-3 text-[hsl(var(--success))]" />}
+            {stage.status === 'warning' && <AlertTriangle className="w-3 h-3 text-[hsl(var(--warning))]" />}
+            {(stage.status === 'failed' || stage.status === 'cancelled' || stage.status === 'interrupted') && (
+              <XCircle className={`w-3 h-3 ${stage.status === 'failed' ? 'text-destructive' : 'text-muted-foreground'}`} />
+            )}
+            <span className="text-foreground">{STAGE_LABELS[stage.name] || stage.name}</span>
+            <span className="font-mono text-muted-foreground">{formatDuration(stage.duration_ms)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function LogsModal({ deployment, logs, logsPage, stages, onLoadMore, onClose }) {
+  const remaining = logsPage.total - logsPage.loaded;
+
   return (
     <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-fade-in">
       <div className="bg-card border border-border rounded-lg max-w-5xl w-full max-h-[85vh] flex flex-col shadow-2xl">
@@ -409,7 +627,7 @@ function LogsModal({ deployment, logs, onClose }) {
               Deployment Logs
             </h2>
             <p className="text-xs text-muted-foreground mt-0.5">
-              {deployment.project_name} • {deployment.branch || 'main'}
+              {deployment.project_name}{deployment.app_name && ` / ${deployment.app_name}`} • {deployment.branch || 'main'}
             </p>
           </div>
           <button 
@@ -419,14 +637,32 @@ function LogsModal({ deployment, logs, onClose }) {
             <XCircle className="w-5 h-5" />
           </button>
         </div>
+
+        <StageTimeline stages={stages} />
         
         <div className="flex-1 overflow-auto p-5">
           <pre className="bg-[hsl(220,20%,5%)] text-gray-100 p-5 rounded-lg overflow-auto font-mono text-[10px] leading-relaxed border border-border">
             {logs || 'No logs available'}
           </pre>
+          {remaining > 0 && (
+            <button
+              onClick={onLoadMore}
+              disabled={logsPage.loading}
+              className="mt-3 w-full px-3 py-1.5 bg-muted hover:bg-muted/80 text-foreground rounded text-xs font-medium transition-colors disabled:opacity-50"
+            >
+              {logsPage.loading ? 'Loading...' : `Load ${Math.min(remaining, LOGS_PAGE_SIZE)} more of ${remaining} remaining lines`}
+            </button>
+          )}
         </div>
         
         <div className="flex gap-2 justify-end p-5 border-t border-border">
+          <a
+            href={deploymentsAPI.getLogsDownloadUrl(deployment.id)}
+            className="px-3 py-1.5 bg-muted hover:bg-muted/80 text-foreground rounded text-xs font-medium transition-colors flex items-center gap-1.5"
+          >
+            <Download className="w-3.5 h-3.5" />
+            Download
+          </a>
           <button onClick={onClose} className="px-3 py-1.5 bg-primary hover:bg-primary/90 text-primary-foreground rounded text-xs font-medium transition-colors">
             Close
           </button>
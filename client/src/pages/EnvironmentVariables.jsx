@@ -1,6 +1,13 @@
 import { useState, useEffect } from 'react';
-import { envAPI, projectsAPI } from '../services/api';
-import { Key, Lock, FileText, Plus, Trash2, Loader, Rocket } from 'lucide-react';
+import { envAPI, projectsAPI, appsAPI } from '../services/api';
+import { Key, Lock, FileText, Plus, Trash2, Loader, Rocket, Hammer, Server } from 'lucide-react';
+
+// Where a variable is used during a deployment
+const ENV_SCOPES = {
+  runtime: { label: 'Runtime', description: 'Container environment', icon: Server },
+  build_arg: { label: 'Build arg', description: 'docker build --build-arg, stored in the image history', icon: Hammer },
+  build_secret: { label: 'Build secret', description: 'BuildKit secret mount, kept out of the image', icon: Lock },
+};
 
 export default function EnvironmentVariables() {
   const [envVars, setEnvVars] = useState([]);
@@ -90,13 +97,14 @@ export default function EnvironmentVariables() {
               <th className="px-6 py-3 text-left text-xs font-medium text-[hsl(var(--muted-foreground))] uppercase tracking-wider">Key</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-[hsl(var(--muted-foreground))] uppercase tracking-wider">Value</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-[hsl(var(--muted-foreground))] uppercase tracking-wider">Type</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-[hsl(var(--muted-foreground))] uppercase tracking-wider">Scope</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-[hsl(var(--muted-foreground))] uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-[hsl(var(--card))] divide-y divide-[hsl(var(--border))]">
             {envVars.length === 0 ? (
               <tr>
-                <td colSpan="6" className="px-6 py-12">
+                <td colSpan="7" className="px-6 py-12">
                   <div className="text-center">
                     <Key className="mx-auto h-12 w-12 text-gray-400" />
                     <h3 className="mt-2 text-sm font-medium text-[hsl(var(--foreground))]">
@@ -121,6 +129,7 @@ export default function EnvironmentVariables() {
                 <tr key={env.id} className="hover:bg-[hsl(var(--accent))]">
                   <td className="px-6 py-4">
                     <span className="text-sm font-medium text-[hsl(var(--foreground))]">{env.project_name}</span>
+                    {env.app && <div className="text-xs text-[hsl(var(--muted-foreground))] mt-1">App: {env.app}</div>}
                   </td>
                   <td className="px-6 py-4">
                     <code className="text-xs bg-[hsl(var(--muted))] px-2 py-1 rounded">{env.branch}</code>
@@ -149,6 +158,9 @@ export default function EnvironmentVariables() {
                       </span>
                     )}
                   </td>
+                  <td className="px-6 py-4">
+                    <ScopeBadge scope={env.scope} />
+                  </td>
                   <td className="px-6 py-4 text-sm font-medium">
                     <button
                       onClick={() => handleDelete(env.id, env.project_name, env.key)}
@@ -170,17 +182,32 @@ export default function EnvironmentVariables() {
   );
 }
 
+function ScopeBadge({ scope }) {
+  const config = ENV_SCOPES[scope] || ENV_SCOPES.runtime;
+  const Icon = config.icon;
+  return (
+    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-[hsl(var(--muted))] text-[hsl(var(--foreground))]" title={config.description}>
+      <Icon className="w-3 h-3 mr-1" />
+      {config.label}
+    </span>
+  );
+}
+
 function AddEnvVarModal({ projects, onClose, onSuccess }) {
-  const [formData, setFormData] = useState({ projectId: '', branch: '', key: '', value: '', description: '', isSecret: false, triggerRedeploy: false });
+  const [formData, setFormData] = useState({ projectId: '', branch: '', app: '', key: '', value: '', description: '', isSecret: false, scope: 'runtime', triggerRedeploy: false });
   const [branches, setBranches] = useState([]);
+  const [apps, setApps] = useState([]);
   const [submitting, setSubmitting] = useState(false);
 
   const handleProjectChange = (projectId) => {
-    const project = projects.find(p => p.id === parseInt(projectId));
+    const project = projects.find(p => p.id === projectId);
     if (project) {
       const projectBranches = project.enabled_branches.split(',');
       setBranches(projectBranches);
-      setFormData({ ...formData, projectId, branch: projectBranches[0] || '' });
+      setFormData({ ...formData, projectId, branch: projectBranches[0] || '', app: '' });
+      appsAPI.getAll(projectId)
+        .then((response) => setApps(response.data.data || []))
+        .catch(() => setApps([]));
     }
   };
 
@@ -225,6 +252,17 @@ function AddEnvVarModal({ projects, onClose, onSuccess }) {
               ))}
             </select>
           </div>
+          {apps.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">App</label>
+              <select value={formData.app} onChange={(e) => setFormData({...formData, app: e.target.value})} className="input">
+                <option value="">All apps (shared)</option>
+                {apps.map((a) => (
+                  <option key={a.id} value={a.name}>{a.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
             <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Key * <span className="text-gray-500 text-xs">(e.g., NODE_ENV, DATABASE_URL)</span></label>
             <input type="text" required pattern="[A-Z_][A-Z0-9_]*" placeholder="NODE_ENV" value={formData.key} onChange={(e) => setFormData({...formData, key: e.target.value.toUpperCase()})} className="input" />
@@ -237,8 +275,16 @@ function AddEnvVarModal({ projects, onClose, onSuccess }) {
             <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Description <span className="text-gray-500 text-xs">(optional)</span></label>
             <input type="text" placeholder="Environment mode for the application" value={formData.description} onChange={(e) => setFormData({...formData, description: e.target.value})} className="input" />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Scope</label>
+            <select value={formData.scope} onChange={(e) => setFormData({...formData, scope: e.target.value})} className="input">
+              {Object.entries(ENV_SCOPES).map(([scope, config]) => (
+                <option key={scope} value={scope}>{config.label} — {config.description}</option>
+              ))}
+            </select>
+          </div>
           <div className="flex items-center">
-            <input type="checkbox" id="isSecret" checked={formData.isSecret} onChange={(e) => setFormData({...formData, isSecret: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
+            <input type="checkbox" id="isSecret" checked={formData.isSecret || formData.scope === 'build_secret'} disabled={formData.scope === 'build_secret'} onChange={(e) => setFormData({...formData, isSecret: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
             <label htmlFor="isSecret" className="ml-2 text-sm text-[hsl(var(--foreground))]">🔒 Mark as secret (value will be masked)</label>
           </div>
           <div className="flex items-center">
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
-import { projectsAPI } from '../services/api';
-import { Package, GitBranch, Settings, Trash2, Rocket, Plus, GitFork, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { projectsAPI, notificationsAPI, appsAPI } from '../services/api';
+import { Package, GitBranch, Settings, Trash2, Rocket, Plus, GitFork, GitPullRequest, ShieldCheck, Key, Copy, CheckCircle, XCircle, Loader, Bell, Send, Boxes, FileCode } from 'lucide-react';
 
 export default function Projects() {
   const [projects, setProjects] = useState([]);
@@ -9,6 +9,9 @@ export default function Projects() {
   const [showDeployModal, setShowDeployModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [selectedProject, setSelectedProject] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [notificationsProject, setNotificationsProject] = useState(null);
+  const [appsProject, setAppsProject] = useState(null);
 
   useEffect(() => {
     loadProjects();
@@ -39,6 +42,65 @@ export default function Projects() {
     }
   };
 
+  const handleTogglePreviews = async (project) => {
+    try {
+      await projectsAPI.update(project.id, { previewsEnabled: !project.previews_enabled });
+      loadProjects();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleTogglePipelineGate = async (project) => {
+    try {
+      await projectsAPI.update(project.id, { deployOnPipeline: !project.deploy_on_pipeline });
+      loadProjects();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleToggleProjectType = async (project) => {
+    const projectType = project.project_type === 'static' ? 'container' : 'static';
+    const warning = projectType === 'static'
+      ? `Serve "${project.name}" as a static site?\n\nThe next deployment builds the site and nginx serves the output directly. Running containers are removed.`
+      : `Run "${project.name}" as a container again?\n\nThe next deployment builds a Docker image from the repository.`;
+    if (!window.confirm(warning)) {
+      return;
+    }
+
+    try {
+      await projectsAPI.update(project.id, { projectType });
+      loadProjects();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleRotateSecret = async (project) => {
+    const warning = project.has_webhook_secret
+      ? `Rotate the webhook secret of "${project.name}"?\n\nThe current secret stops working immediately. Update the webhook in your Git host afterwards.`
+      : `Generate a webhook secret for "${project.name}"?\n\nWebhooks will no longer be accepted with the global secret. Update the webhook in your Git host afterwards.`;
+    if (!window.confirm(warning)) {
+      return;
+    }
+
+    try {
+      const response = await projectsAPI.rotateWebhookSecret(project.id);
+      setRevealedSecret({ project, secret: response.data.data.webhookSecret });
+      loadProjects();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleProjectCreated = (project) => {
+    loadProjects();
+    if (project?.webhookSecret) {
+      setRevealedSecret({ project, secret: project.webhookSecret });
+    }
+  };
+
   const handleDeploy = (project) => {
     setSelectedProject(project);
     setShowDeployModal(true);
@@ -106,7 +168,12 @@ export default function Projects() {
                         <Package className="h-5 w-5 text-[hsl(var(--primary))]" />
                       </div>
                       <div className="ml-4">
-                        <div className="text-sm font-medium text-[hsl(var(--foreground))]">{project.name}</div>
+                        <div className="text-sm font-medium text-[hsl(var(--foreground))]">
+                          {project.name}
+                          {project.project_type === 'static' && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-[hsl(var(--muted))] text-[hsl(var(--muted-foreground))]">static</span>
+                          )}
+                        </div>
                         {project.description && <div className="text-sm text-[hsl(var(--muted-foreground))]">{project.description}</div>}
                       </div>
                     </div>
@@ -138,6 +205,26 @@ export default function Projects() {
                       <button onClick={() => handleDeploy(project)} className="text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300" title="Deploy">
                         <Rocket className="w-4 h-4" />
                       </button>
+                      <button onClick={() => handleTogglePreviews(project)} className={project.previews_enabled ? 'text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300' : 'text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]'} title={project.previews_enabled ? `Merge request previews on (env from ${project.preview_base_branch || project.default_branch}) - click to disable` : 'Merge request previews off - click to enable'}>
+                        <GitPullRequest className="w-4 h-4" />
+                      </button>
+                      {(project.supports_pipeline_gate || project.deploy_on_pipeline) && (
+                        <button onClick={() => handleTogglePipelineGate(project)} className={project.deploy_on_pipeline ? 'text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300' : 'text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]'} title={project.deploy_on_pipeline ? 'Deploys wait for a successful GitLab CI pipeline - click to deploy on push' : 'Deploys on push - click to wait for a successful GitLab CI pipeline'}>
+                          <ShieldCheck className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button onClick={() => handleToggleProjectType(project)} className={project.project_type === 'static' ? 'text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300' : 'text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]'} title={project.project_type === 'static' ? 'Static site served by nginx - click to run as a container' : 'Runs as a container - click to serve as a static site'}>
+                        <FileCode className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleRotateSecret(project)} className={project.has_webhook_secret ? 'text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]' : 'text-amber-600 hover:text-amber-800 dark:text-amber-400'} title={project.has_webhook_secret ? 'Rotate webhook secret' : 'Uses the global webhook secret - click to generate a project secret'}>
+                        <Key className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => setNotificationsProject(project)} className="text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]" title="Notifications">
+                        <Bell className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => setAppsProject(project)} className="text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]" title="Apps (monorepo services)">
+                        <Boxes className="w-4 h-4" />
+                      </button>
                       <button onClick={() => window.location.href = '/environment'} className="text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]" title="Environment Variables">
                         <Settings className="w-4 h-4" />
                       </button>
@@ -153,24 +240,28 @@ export default function Projects() {
         </table>
       </div>
 
-      {showAddModal && <AddProjectModal onClose={() => setShowAddModal(false)} onSuccess={() => { setShowAddModal(false); loadProjects(); }} />}
+      {showAddModal && <AddProjectModal onClose={() => setShowAddModal(false)} onSuccess={(project) => { setShowAddModal(false); handleProjectCreated(project); }} />}
       {showDeployModal && selectedProject && <DeployModal project={selectedProject} onClose={() => { setShowDeployModal(false); setSelectedProject(null); }} />}
-      {showImportModal && <ImportGitLabModal onClose={() => setShowImportModal(false)} onSuccess={() => { setShowImportModal(false); loadProjects(); }} />}
+      {showImportModal && <ImportGitLabModal onClose={() => setShowImportModal(false)} onSuccess={(project) => { setShowImportModal(false); handleProjectCreated(project); }} />}
+      {revealedSecret && <WebhookSecretModal project={revealedSecret.project} secret={revealedSecret.secret} onClose={() => setRevealedSecret(null)} />}
+      {notificationsProject && <NotificationsModal project={notificationsProject} onClose={() => setNotificationsProject(null)} />}
+      {appsProject && <AppsModal project={appsProject} onClose={() => setAppsProject(null)} />}
     </div>
   );
 }
 
 function AddProjectModal({ onClose, onSuccess }) {
-  const [formData, setFormData] = useState({ name: '', repoUrl: '', defaultBranch: 'production', enabledBranches: 'production,master,dev', description: '', autoDeploy: true });
+  const [formData, setFormData] = useState({ name: '', repoUrl: '', defaultBranch: 'production', enabledBranches: 'production,master,dev', description: '', gitlabProjectId: '', autoDeploy: true, deployOnPipeline: false, previewsEnabled: false, previewBaseBranch: '', previewsFromForks: false, projectType: 'container' });
   const [submitting, setSubmitting] = useState(false);
+  // Only GitLab reports pipelines; the project list offers the gate for self-hosted instances
+  const pipelineGateAvailable = /gitlab/i.test(formData.repoUrl);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSubmitting(true);
     try {
-      await projectsAPI.create(formData);
-      alert('✅ Project added successfully!');
-      onSuccess();
+      const response = await projectsAPI.create({ ...formData, deployOnPipeline: pipelineGateAvailable && formData.deployOnPipeline });
+      onSuccess(response.data.data);
     } catch (error) {
       alert('❌ Error: ' + (error.response?.data?.error || error.message));
     } finally {
@@ -191,6 +282,10 @@ function AddProjectModal({ onClose, onSuccess }) {
             <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Repository URL *</label>
             <input type="url" required placeholder="https://gitlab.com/username/repo.git" value={formData.repoUrl} onChange={(e) => setFormData({...formData, repoUrl: e.target.value})} className="input" />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">GitLab Project ID <span className="text-gray-500 text-xs">(optional, reports deployment status to GitLab)</span></label>
+            <input type="text" pattern="[0-9]+" placeholder="12345678" value={formData.gitlabProjectId} onChange={(e) => setFormData({...formData, gitlabProjectId: e.target.value})} className="input" />
+          </div>
           <div>
             <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Default Branch</label>
             <select value={formData.defaultBranch} onChange={(e) => setFormData({...formData, defaultBranch: e.target.value})} className="input">
@@ -199,6 +294,13 @@ function AddProjectModal({ onClose, onSuccess }) {
               <option value="dev">dev</option>
             </select>
           </div>
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Project Type</label>
+            <select value={formData.projectType} onChange={(e) => setFormData({...formData, projectType: e.target.value})} className="input">
+              <option value="container">Container (Docker image behind nginx)</option>
+              <option value="static">Static site (build output served by nginx)</option>
+            </select>
+          </div>
           <div>
             <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Enabled Branches <span className="text-gray-500 text-xs">(comma-separated)</span></label>
             <input type="text" placeholder="production,master,dev" value={formData.enabledBranches} onChange={(e) => setFormData({...formData, enabledBranches: e.target.value})} className="input" />
@@ -211,6 +313,28 @@ function AddProjectModal({ onClose, onSuccess }) {
             <input type="checkbox" id="autoDeploy" checked={formData.autoDeploy} onChange={(e) => setFormData({...formData, autoDeploy: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
             <label htmlFor="autoDeploy" className="ml-2 text-sm text-[hsl(var(--foreground))]">🚀 Enable automatic deployment on push</label>
           </div>
+          {formData.autoDeploy && pipelineGateAvailable && (
+            <div className="flex items-center ml-6">
+              <input type="checkbox" id="deployOnPipeline" checked={formData.deployOnPipeline} onChange={(e) => setFormData({...formData, deployOnPipeline: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
+              <label htmlFor="deployOnPipeline" className="ml-2 text-sm text-[hsl(var(--foreground))]">🛡️ Only deploy after the GitLab CI pipeline succeeds</label>
+            </div>
+          )}
+          <div className="flex items-center">
+            <input type="checkbox" id="previewsEnabled" checked={formData.previewsEnabled} onChange={(e) => setFormData({...formData, previewsEnabled: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
+            <label htmlFor="previewsEnabled" className="ml-2 text-sm text-[hsl(var(--foreground))]">🔍 Deploy merge requests as preview environments</label>
+          </div>
+          {formData.previewsEnabled && (
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Preview Environment Variables From <span className="text-gray-500 text-xs">(branch, defaults to the default branch)</span></label>
+              <input type="text" placeholder={formData.defaultBranch} value={formData.previewBaseBranch} onChange={(e) => setFormData({...formData, previewBaseBranch: e.target.value})} className="input" />
+            </div>
+          )}
+          {formData.previewsEnabled && (
+            <div className="flex items-center ml-6">
+              <input type="checkbox" id="previewsFromForks" checked={formData.previewsFromForks} onChange={(e) => setFormData({...formData, previewsFromForks: e.target.checked})} className="h-4 w-4 text-blue-600 rounded" />
+              <label htmlFor="previewsFromForks" className="ml-2 text-sm text-[hsl(var(--foreground))]">⚠️ Also preview merge requests from forks (they get the preview environment variables)</label>
+            </div>
+          )}
           <div className="flex gap-3 justify-end pt-4">
             <button type="button" onClick={onClose} className="btn">Cancel</button>
             <button type="submit" disabled={submitting} className="btn-primary">{submitting ? 'Adding...' : 'Add Project'}</button>
@@ -221,17 +345,362 @@ function AddProjectModal({ onClose, onSuccess }) {
   );
 }
 
+function WebhookSecretModal({ project, secret, onClose }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      setCopied(true);
+    } catch (error) {
+      alert('❌ Could not copy to clipboard, please copy the secret manually');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-[hsl(var(--card))] rounded-lg p-8 max-w-lg w-full">
+        <h2 className="text-2xl font-bold text-[hsl(var(--foreground))] mb-2">Webhook Secret for {project.name}</h2>
+        <p className="text-sm text-[hsl(var(--muted-foreground))] mb-6">Copy this secret now. It will not be shown again; rotate it if you lose it.</p>
+        <div className="flex items-center gap-2">
+          <code className="flex-1 text-xs font-mono break-all bg-[hsl(var(--muted))] text-[hsl(var(--foreground))] px-3 py-2 rounded">{secret}</code>
+          <button onClick={handleCopy} className="btn flex items-center gap-2" title="Copy to clipboard">
+            <Copy className="w-4 h-4" />
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+        <div className="bg-[hsl(var(--muted))] p-4 rounded-lg mt-4 text-sm text-[hsl(var(--muted-foreground))]">
+          <p>Use it as the <strong>Secret Token</strong> (GitLab) or <strong>Secret</strong> (GitHub, Gitea, Bitbucket) of the webhook pointing to:</p>
+          <code className="text-xs">{window.location.origin}/webhook/&lt;provider&gt;</code>
+        </div>
+        <div className="flex justify-end pt-6">
+          <button onClick={onClose} className="btn-primary">Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const CHANNEL_TYPES = {
+  slack: { label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+  discord: { label: 'Discord', placeholder: 'https://discord.com/api/webhooks/...' },
+  webhook: { label: 'Webhook', placeholder: 'https://example.com/hooks/deployments' },
+  email: { label: 'Email', placeholder: 'ops@example.com, dev@example.com' },
+};
+
+const NOTIFICATION_EVENTS = {
+  queued: 'Queued',
+  started: 'Started',
+  success: 'Succeeded',
+  failed: 'Failed',
+  ssl_failed: 'SSL failed',
+  rollback: 'Rolled back',
+};
+
+function NotificationsModal({ project, onClose }) {
+  const [channels, setChannels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ type: 'slack', name: '', target: '', events: ['success', 'failed', 'ssl_failed', 'rollback'] });
+  const [submitting, setSubmitting] = useState(false);
+  const [testing, setTesting] = useState(null);
+  const [signingSecret, setSigningSecret] = useState(null);
+
+  useEffect(() => {
+    loadChannels();
+  }, []);
+
+  const loadChannels = async () => {
+    try {
+      const response = await notificationsAPI.getAll(project.id);
+      setChannels(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to load notification channels:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleEvent = (events, event) => (
+    events.includes(event) ? events.filter(e => e !== event) : [...events, event]
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await notificationsAPI.create(project.id, formData);
+      setSigningSecret(response.data.data.secret || null);
+      setFormData({ ...formData, name: '', target: '' });
+      loadChannels();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUpdate = async (channel, updates) => {
+    try {
+      await notificationsAPI.update(project.id, channel.id, updates);
+      loadChannels();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Remove the ${CHANNEL_TYPES[channel.type]?.label || channel.type} channel "${channel.name || channel.target}"?`)) {
+      return;
+    }
+    try {
+      await notificationsAPI.delete(project.id, channel.id);
+      loadChannels();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting(channel.id);
+    try {
+      await notificationsAPI.test(project.id, channel.id);
+      alert('✅ Test notification sent');
+    } catch (error) {
+      alert('❌ ' + (error.response?.data?.error || error.message));
+    } finally {
+      setTesting(null);
+      loadChannels();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-[hsl(var(--card))] rounded-lg p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold text-[hsl(var(--foreground))] mb-2">Notifications for {project.name}</h2>
+        <p className="text-sm text-[hsl(var(--muted-foreground))] mb-6">Send deployment events to Slack, Discord, a webhook or email. Failed sends are retried.</p>
+
+        {loading ? (
+          <div className="flex justify-center py-6"><Loader className="w-6 h-6 animate-spin text-blue-600" /></div>
+        ) : channels.length === 0 ? (
+          <p className="text-sm text-[hsl(var(--muted-foreground))] mb-6">No notification channels yet.</p>
+        ) : (
+          <div className="space-y-3 mb-6">
+            {channels.map((channel) => (
+              <div key={channel.id} className="border border-[hsl(var(--border))] rounded-lg p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-[hsl(var(--foreground))]">
+                      {CHANNEL_TYPES[channel.type]?.label || channel.type}{channel.name && ` • ${channel.name}`}
+                    </div>
+                    <code className="text-xs text-[hsl(var(--muted-foreground))] break-all">{channel.target}</code>
+                    {channel.last_status && (
+                      <div className={`text-xs mt-1 ${channel.last_status === 'failed' ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-400'}`}>
+                        {channel.last_status === 'failed' ? `Last send failed: ${channel.last_error}` : 'Last send succeeded'} ({new Date(channel.last_sent_at).toLocaleString()})
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <label className="flex items-center gap-1 text-xs text-[hsl(var(--muted-foreground))]">
+                      <input type="checkbox" checked={channel.enabled} onChange={() => handleUpdate(channel, { enabled: !channel.enabled })} />
+                      Enabled
+                    </label>
+                    <button onClick={() => handleTest(channel)} disabled={testing === channel.id} className="text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300 disabled:opacity-50" title="Send test notification">
+                      {testing === channel.id ? <Loader className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                    </button>
+                    <button onClick={() => handleDelete(channel)} className="text-[hsl(var(--destructive))] hover:text-red-700" title="Remove">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-3 mt-3">
+                  {Object.entries(NOTIFICATION_EVENTS).map(([event, label]) => (
+                    <label key={event} className="flex items-center gap-1 text-xs text-[hsl(var(--foreground))]">
+                      <input type="checkbox" checked={channel.events.includes(event)} onChange={() => handleUpdate(channel, { events: toggleEvent(channel.events, event) })} />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {signingSecret && (
+          <div className="bg-[hsl(var(--muted))] p-4 rounded-lg mb-6 text-sm text-[hsl(var(--muted-foreground))]">
+            <p className="mb-2">Webhook requests are signed with <code className="text-xs">X-Signal-Signature: sha256=&lt;HMAC of the body&gt;</code>. Copy the signing secret now, it will not be shown again:</p>
+            <code className="block text-xs font-mono break-all bg-[hsl(var(--card))] text-[hsl(var(--foreground))] px-3 py-2 rounded">{signingSecret}</code>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4 border-t border-[hsl(var(--border))] pt-6">
+          <h3 className="text-sm font-semibold text-[hsl(var(--foreground))]">Add Channel</h3>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Type</label>
+              <select value={formData.type} onChange={(e) => setFormData({...formData, type: e.target.value})} className="input">
+                {Object.entries(CHANNEL_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+              </select>
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Name <span className="text-gray-500 text-xs">(optional)</span></label>
+              <input type="text" placeholder="#deploys" value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} className="input" />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">{formData.type === 'email' ? 'Recipients *' : 'Webhook URL *'}</label>
+            <input type="text" required placeholder={CHANNEL_TYPES[formData.type].placeholder} value={formData.target} onChange={(e) => setFormData({...formData, target: e.target.value})} className="input" />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(NOTIFICATION_EVENTS).map(([event, label]) => (
+              <label key={event} className="flex items-center gap-1 text-sm text-[hsl(var(--foreground))]">
+                <input type="checkbox" checked={formData.events.includes(event)} onChange={() => setFormData({...formData, events: toggleEvent(formData.events, event)})} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-3 justify-end pt-2">
+            <button type="button" onClick={onClose} className="btn">Close</button>
+            <button type="submit" disabled={submitting || formData.events.length === 0} className="btn-primary disabled:opacity-50">{submitting ? 'Adding...' : 'Add Channel'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function AppsModal({ project, onClose }) {
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ name: '', context: '', dockerfile: '', subdomain: '', watchPaths: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadApps();
+  }, []);
+
+  const loadApps = async () => {
+    try {
+      const response = await appsAPI.getAll(project.id);
+      setApps(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to load apps:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await appsAPI.create(project.id, formData);
+      setFormData({ name: '', context: '', dockerfile: '', subdomain: '', watchPaths: '' });
+      loadApps();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (app) => {
+    if (!window.confirm(`Remove the app "${app.name}" and its environment variables? Running containers are kept.`)) {
+      return;
+    }
+    try {
+      await appsAPI.delete(project.id, app.id);
+      loadApps();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-[hsl(var(--card))] rounded-lg p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold text-[hsl(var(--foreground))] mb-2">Apps of {project.name}</h2>
+        <p className="text-sm text-[hsl(var(--muted-foreground))] mb-6">Build several services from one repository. A push only redeploys the apps whose watch paths contain a changed file.</p>
+
+        {loading ? (
+          <div className="flex justify-center py-6"><Loader className="w-6 h-6 animate-spin text-blue-600" /></div>
+        ) : apps.length === 0 ? (
+          <p className="text-sm text-[hsl(var(--muted-foreground))] mb-6">No apps yet. The whole repository is deployed as one app.</p>
+        ) : (
+          <div className="space-y-3 mb-6">
+            {apps.map((app) => (
+              <div key={app.id} className="border border-[hsl(var(--border))] rounded-lg p-4 flex items-start justify-between gap-4">
+                <div className="min-w-0 text-sm">
+                  <div className="font-medium text-[hsl(var(--foreground))]">{app.name}{app.subdomain && <span className="text-[hsl(var(--muted-foreground))] font-normal"> • {app.subdomain}.*</span>}</div>
+                  <div className="text-xs text-[hsl(var(--muted-foreground))] mt-1">
+                    Context <code>{app.resolved.context}</code> • Dockerfile <code>{app.resolved.dockerfile}</code>
+                  </div>
+                  <div className="text-xs text-[hsl(var(--muted-foreground))] mt-1">
+                    Watches {app.resolved.watchPaths.map((watchPath) => <code key={watchPath} className="mr-2">{watchPath}</code>)}
+                  </div>
+                </div>
+                <button onClick={() => handleDelete(app)} className="text-[hsl(var(--destructive))] hover:text-red-700 flex-shrink-0" title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4 border-t border-[hsl(var(--border))] pt-6">
+          <h3 className="text-sm font-semibold text-[hsl(var(--foreground))]">Add App</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Name *</label>
+              <input type="text" required placeholder="api" value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} className="input" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Build context *</label>
+              <input type="text" required placeholder="services/api" value={formData.context} onChange={(e) => setFormData({...formData, context: e.target.value})} className="input font-mono" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Dockerfile <span className="text-gray-500 text-xs">(optional)</span></label>
+              <input type="text" placeholder={`${formData.context || '<context>'}/Dockerfile`} value={formData.dockerfile} onChange={(e) => setFormData({...formData, dockerfile: e.target.value})} className="input font-mono" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Subdomain <span className="text-gray-500 text-xs">(optional)</span></label>
+              <input type="text" placeholder={`${project.name.replace(/\s+/g, '-').toLowerCase()}-${formData.name || '<name>'}`} value={formData.subdomain} onChange={(e) => setFormData({...formData, subdomain: e.target.value})} className="input" />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Watch paths <span className="text-gray-500 text-xs">(comma separated, optional)</span></label>
+            <input type="text" placeholder={`${formData.context || '<context>'}/**, packages/shared/**`} value={formData.watchPaths} onChange={(e) => setFormData({...formData, watchPaths: e.target.value})} className="input font-mono" />
+          </div>
+          <div className="flex gap-3 justify-end pt-2">
+            <button type="button" onClick={onClose} className="btn">Close</button>
+            <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">{submitting ? 'Adding...' : 'Add App'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 function DeployModal({ project, onClose }) {
   const [branch, setBranch] = useState(project.default_branch);
+  const [commit, setCommit] = useState('');
+  const [cleanBuild, setCleanBuild] = useState(false);
+  const [apps, setApps] = useState([]);
+  const [app, setApp] = useState('');
   const [deploying, setDeploying] = useState(false);
   const branches = project.enabled_branches.split(',');
 
+  useEffect(() => {
+    appsAPI.getAll(project.id)
+      .then((response) => setApps(response.data.data || []))
+      .catch((error) => console.error('Failed to load apps:', error));
+  }, []);
+
   const handleDeploy = async (e) => {
     e.preventDefault();
     setDeploying(true);
     try {
-      await projectsAPI.deploy(project.id, branch);
-      alert(`✅ Deployment queued successfully!\nProject: ${project.name}\nBranch: ${branch}`);
+      await projectsAPI.deploy(project.id, branch, commit.trim() || undefined, cleanBuild, app || undefined);
+      alert(`✅ Deployment queued successfully!\nProject: ${project.name}\nBranch: ${branch}${apps.length > 0 ? `\nApps: ${app || 'all'}` : ''}${commit.trim() ? `\nCommit: ${commit.trim()}` : ''}`);
       onClose();
     } catch (error) {
       alert('❌ Error: ' + (error.response?.data?.error || error.message));
@@ -251,6 +720,23 @@ function DeployModal({ project, onClose }) {
               {branches.map((b) => (<option key={b} value={b}>{b}</option>))}
             </select>
           </div>
+          {apps.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">App</label>
+              <select value={app} onChange={(e) => setApp(e.target.value)} className="input">
+                <option value="">All apps</option>
+                {apps.map((a) => (<option key={a.id} value={a.name}>{a.name}</option>))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-[hsl(var(--foreground))] mb-2">Commit SHA or Tag</label>
+            <input type="text" value={commit} onChange={(e) => setCommit(e.target.value)} className="input font-mono" placeholder={`Latest commit on ${branch}`} />
+          </div>
+          <div className="flex items-center">
+            <input type="checkbox" id="cleanBuild" checked={cleanBuild} onChange={(e) => setCleanBuild(e.target.checked)} className="h-4 w-4 text-blue-600 rounded" />
+            <label htmlFor="cleanBuild" className="ml-2 text-sm text-[hsl(var(--foreground))]">🧼 Force clean build (no build cache, pull base images)</label>
+          </div>
           <div className="bg-[hsl(var(--muted))] p-4 rounded-lg">
             <p className="text-sm text-[hsl(var(--muted-foreground))]"><strong>Repository:</strong><br /><code className="text-xs">{project.repo_url}</code></p>
           </div>
@@ -287,9 +773,8 @@ function ImportGitLabModal({ onClose, onSuccess }) {
   const handleImport = async (proj) => {
     setImporting(proj.id);
     try {
-      await projectsAPI.create({ name: proj.name, repoUrl: proj.httpUrl, gitlabProjectId: proj.id, defaultBranch: proj.defaultBranch || 'production', enabledBranches: 'production,master,dev', autoDeploy: true, description: proj.description || '' });
-      alert(`✅ Project "${proj.name}" imported successfully!`);
-      onSuccess();
+      const response = await projectsAPI.create({ name: proj.name, repoUrl: proj.httpUrl, gitlabProjectId: proj.id, defaultBranch: proj.defaultBranch || 'production', enabledBranches: 'production,master,dev', autoDeploy: true, description: proj.description || '' });
+      onSuccess(response.data.data);
     } catch (error) {
       alert('❌ Error: ' + (error.response?.data?.error || error.message));
     } finally {
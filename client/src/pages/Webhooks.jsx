@@ -0,0 +1,290 @@
+import { useState, useEffect } from 'react';
+import { webhooksAPI } from '../services/api';
+import { CheckCircle, XCircle, Loader, RotateCcw, FileText, MinusCircle, AlertTriangle, Webhook } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const DECISIONS = {
+  queued: { label: 'Deployed', tone: 'success' },
+  preview_queued: { label: 'Preview deployed', tone: 'success' },
+  preview_removed: { label: 'Preview removed', tone: 'success' },
+  ping: { label: 'Ping', tone: 'success' },
+  ignored: { label: 'Ignored', tone: 'muted' },
+  auto_deploy_disabled: { label: 'Auto-deploy off', tone: 'muted' },
+  branch_not_enabled: { label: 'Branch not enabled', tone: 'muted' },
+  previews_disabled: { label: 'Previews off', tone: 'muted' },
+  awaiting_pipeline: { label: 'Awaiting CI', tone: 'muted' },
+  no_changes: { label: 'No app changed', tone: 'muted' },
+  pipeline_failed: { label: 'CI failed', tone: 'warning' },
+  project_not_found: { label: 'Project not found', tone: 'warning' },
+  invalid_payload: { label: 'Invalid payload', tone: 'warning' },
+  invalid_signature: { label: 'Invalid signature', tone: 'destructive' },
+  error: { label: 'Error', tone: 'destructive' },
+};
+
+const TONES = {
+  success: { icon: CheckCircle, className: 'bg-[hsl(var(--success))]/10 text-[hsl(var(--success))]' },
+  muted: { icon: MinusCircle, className: 'bg-muted/50 text-muted-foreground' },
+  warning: { icon: AlertTriangle, className: 'bg-[hsl(var(--warning))]/10 text-[hsl(var(--warning))]' },
+  destructive: { icon: XCircle, className: 'bg-[hsl(var(--destructive))]/10 text-[hsl(var(--destructive))]' },
+};
+
+const FILTERS = [
+  { key: 'all', label: 'All', tones: null },
+  { key: 'deployed', label: 'Deployed', tones: ['success'] },
+  { key: 'ignored', label: 'Ignored', tones: ['muted'] },
+  { key: 'failed', label: 'Failed', tones: ['warning', 'destructive'] },
+];
+
+function getDecision(decision) {
+  return DECISIONS[decision] || { label: decision, tone: 'muted' };
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+export default function Webhooks() {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [filter, setFilter] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, []);
+
+  const loadDeliveries = async (offset = 0) => {
+    try {
+      const response = await webhooksAPI.getDeliveries({ limit: PAGE_SIZE, offset });
+      const page = response.data.data || [];
+      setDeliveries(prev => offset === 0 ? page : [...prev, ...page]);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (error) {
+      console.error('Failed to load webhook deliveries:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeFilter = FILTERS.find(f => f.key === filter);
+  const filteredDeliveries = activeFilter.tones
+    ? deliveries.filter(d => activeFilter.tones.includes(getDecision(d.decision).tone))
+    : deliveries;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader className="w-8 h-8 animate-spin text-[hsl(var(--primary))]" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 animate-fade-in">
+      <div>
+        <h1 className="text-2xl font-semibold text-foreground">Webhooks</h1>
+        <p className="text-muted-foreground mt-1 text-xs">
+          Every incoming webhook, what was done with it and why
+        </p>
+      </div>
+
+      <div className="bg-card border border-border rounded-lg">
+        <div className="flex gap-1 p-1.5 border-b border-border">
+          {FILTERS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setFilter(key)}
+              className={`px-3 py-1.5 rounded text-xs font-medium transition-all ${
+                filter === key
+                  ? 'bg-primary text-primary-foreground'
+                  : 'text-muted-foreground hover:bg-accent hover:text-foreground'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="divide-y divide-border">
+          {filteredDeliveries.length === 0 ? (
+            <div className="p-12 text-center">
+              <Webhook className="mx-auto h-12 w-12 text-muted-foreground opacity-50" />
+              <h3 className="mt-4 text-sm font-medium text-foreground">No webhook deliveries</h3>
+              <p className="mt-1 text-xs text-muted-foreground">
+                Deliveries appear here as soon as your Git host sends a webhook
+              </p>
+            </div>
+          ) : (
+            filteredDeliveries.map((delivery) => (
+              <DeliveryRow key={delivery.id} delivery={delivery} onSelect={() => setSelectedId(delivery.id)} />
+            ))
+          )}
+        </div>
+
+        {hasMore && (
+          <div className="p-3 border-t border-border text-center">
+            <button onClick={() => loadDeliveries(deliveries.length)} className="px-3 py-1.5 rounded bg-secondary hover:bg-secondary/80 text-foreground text-xs font-medium transition-colors">
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+
+      {selectedId && (
+        <DeliveryModal
+          deliveryId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onReplayed={() => { setSelectedId(null); loadDeliveries(); }}
+        />
+      )}
+    </div>
+  );
+}
+
+function DecisionBadge({ decision }) {
+  const { label, tone } = getDecision(decision);
+  const { icon: Icon, className } = TONES[tone];
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${className}`}>
+      <Icon className="w-3 h-3" />
+      {label}
+    </span>
+  );
+}
+
+function DeliveryRow({ delivery, onSelect }) {
+  return (
+    <div className="p-5 hover:bg-accent/50 transition-colors">
+      <div className="flex items-center justify-between gap-6">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-3 mb-1.5">
+            <h3 className="text-sm font-semibold text-foreground">
+              {delivery.project_name || 'Unknown project'}
+            </h3>
+            <DecisionBadge decision={delivery.decision} />
+            {delivery.replay_of && (
+              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-muted/50 text-muted-foreground">
+                <RotateCcw className="w-3 h-3" />
+                Replay
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-5 text-xs text-muted-foreground">
+            <span className="font-mono bg-muted px-1.5 py-0.5 rounded text-[10px]">{delivery.provider}</span>
+            <span className="font-mono text-[10px]">{delivery.event || '-'}</span>
+            <span className="font-mono text-[10px]">HTTP {delivery.status_code}</span>
+            <span className="truncate">{delivery.reason}</span>
+            <span className="ml-auto text-[10px] whitespace-nowrap">{formatTime(delivery.created_at)}</span>
+          </div>
+        </div>
+        <button
+          onClick={onSelect}
+          className="p-1.5 rounded bg-secondary hover:bg-secondary/80 text-foreground transition-colors"
+          title="Inspect delivery"
+        >
+          <FileText className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function DeliveryModal({ deliveryId, onClose, onReplayed }) {
+  const [delivery, setDelivery] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+
+  useEffect(() => {
+    webhooksAPI.getDelivery(deliveryId)
+      .then(response => setDelivery(response.data.data))
+      .catch(error => alert('❌ Error: ' + (error.response?.data?.error || error.message)));
+  }, [deliveryId]);
+
+  const handleReplay = async () => {
+    const force = !delivery.authenticated;
+    const warning = force
+      ? 'This delivery was NOT authenticated, so anyone could have sent it.\n\nReplay it anyway with the current project configuration?'
+      : 'Replay this delivery with the current project configuration?';
+    if (!window.confirm(warning)) {
+      return;
+    }
+
+    setReplaying(true);
+    try {
+      const response = await webhooksAPI.replay(delivery.id, force);
+      const { decision, response: body } = response.data.data;
+      alert(`Replayed: ${getDecision(decision).label}\n${body.message || body.error || ''}`);
+      onReplayed();
+    } catch (error) {
+      alert('❌ Error: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-fade-in">
+      <div className="bg-card border border-border rounded-lg max-w-5xl w-full max-h-[85vh] flex flex-col shadow-2xl">
+        <div className="flex items-center justify-between p-5 border-b border-border">
+          <div>
+            <h2 className="text-lg font-semibold text-foreground">Webhook Delivery</h2>
+            {delivery && (
+              <p className="text-xs text-muted-foreground mt-0.5">
+                {delivery.provider} • {delivery.event || '-'} • {formatTime(delivery.created_at)}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground transition-colors">
+            <XCircle className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!delivery ? (
+          <div className="flex items-center justify-center h-40">
+            <Loader className="w-6 h-6 animate-spin text-[hsl(var(--primary))]" />
+          </div>
+        ) : (
+          <div className="flex-1 overflow-auto p-5 space-y-4">
+            <div className="flex items-center gap-3 flex-wrap text-xs text-muted-foreground">
+              <DecisionBadge decision={delivery.decision} />
+              <span className="font-mono">HTTP {delivery.status_code}</span>
+              <span>{delivery.project_name || 'Unknown project'}</span>
+              <span>{delivery.authenticated ? 'Authenticated' : 'Not authenticated'}</span>
+              {delivery.deployment_ids && <span className="font-mono">Deployments: {delivery.deployment_ids}</span>}
+            </div>
+            {delivery.reason && (
+              <div className="bg-muted p-3 rounded text-xs text-foreground">{delivery.reason}</div>
+            )}
+            <div>
+              <h3 className="text-xs font-medium text-muted-foreground mb-2">Headers</h3>
+              <pre className="bg-[hsl(220,20%,5%)] text-gray-100 p-4 rounded-lg overflow-auto font-mono text-[10px] leading-relaxed border border-border max-h-48">
+                {JSON.stringify(delivery.headers, null, 2)}
+              </pre>
+            </div>
+            <div>
+              <h3 className="text-xs font-medium text-muted-foreground mb-2">Payload</h3>
+              <pre className="bg-[hsl(220,20%,5%)] text-gray-100 p-4 rounded-lg overflow-auto font-mono text-[10px] leading-relaxed border border-border max-h-96">
+                {JSON.stringify(delivery.payload, null, 2)}
+              </pre>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2 justify-end p-5 border-t border-border">
+          <button
+            onClick={handleReplay}
+            disabled={!delivery || replaying}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 bg-secondary hover:bg-secondary/80 text-foreground rounded text-xs font-medium transition-colors disabled:opacity-50"
+          >
+            <RotateCcw className="w-3.5 h-3.5" />
+            {replaying ? 'Replaying...' : 'Replay'}
+          </button>
+          <button onClick={onClose} className="px-3 py-1.5 bg-primary hover:bg-primary/90 text-primary-foreground rounded text-xs font-medium transition-colors">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
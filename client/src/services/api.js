@@ -26,7 +26,8 @@ export const projectsAPI = {
   create: (data) => api.post('/api/projects', data),
   update: (id, data) => api.put(`/api/projects/${id}`, data),
   delete: (id) => api.delete(`/api/projects/${id}`),
-  deploy: (id, branch, commit) => api.post(`/api/projects/${id}/deploy`, { branch, commit }),
+  deploy: (id, branch, commit, cleanBuild, app) => api.post(`/api/projects/${id}/deploy`, { branch, commit, cleanBuild, app }),
+  rotateWebhookSecret: (id) => api.post(`/api/projects/${id}/webhook-secret`),
   getGitLabProjects: () => api.get('/api/projects/gitlab/list'),
 };
 
@@ -36,9 +37,13 @@ export const deploymentsAPI = {
   getHistory: () => api.get('/api/deployments'),
   getActive: () => api.get('/api/deployments/active'),
   getById: (id) => api.get(`/api/deployments/${id}`),
-  getLogs: (id) => api.get(`/api/deployments/${id}/logs`),
+  getLogs: (id, params) => api.get(`/api/deployments/${id}/logs`, { params }),
+  getLogsDownloadUrl: (id) => `${API_BASE}/api/deployments/${id}/logs/download`,
+  getStages: (id) => api.get(`/api/deployments/${id}/stages`),
   getQueue: () => api.get('/api/queue'),
-  delete: (project, branch) => api.delete(`/api/deployments/${project}/${branch}`),
+  rollback: (id) => api.post(`/api/deployments/${id}/rollback`),
+  cancel: (id) => api.post(`/api/deployments/${id}/cancel`),
+  delete: (project, branch, app) => api.delete(`/api/deployments/${project}/${branch}`, { params: { app } }),
 };
 
 // Environment Variables
@@ -49,6 +54,30 @@ export const envAPI = {
   delete: (id) => api.delete(`/api/env/${id}`),
 };
 
+// Project notification channels
+export const notificationsAPI = {
+  getAll: (projectId) => api.get(`/api/projects/${projectId}/notifications`),
+  create: (projectId, data) => api.post(`/api/projects/${projectId}/notifications`, data),
+  update: (projectId, id, data) => api.put(`/api/projects/${projectId}/notifications/${id}`, data),
+  delete: (projectId, id) => api.delete(`/api/projects/${projectId}/notifications/${id}`),
+  test: (projectId, id) => api.post(`/api/projects/${projectId}/notifications/${id}/test`),
+};
+
+// Monorepo apps of a project
+export const appsAPI = {
+  getAll: (projectId) => api.get(`/api/projects/${projectId}/apps`),
+  create: (projectId, data) => api.post(`/api/projects/${projectId}/apps`, data),
+  update: (projectId, id, data) => api.put(`/api/projects/${projectId}/apps/${id}`, data),
+  delete: (projectId, id) => api.delete(`/api/projects/${projectId}/apps/${id}`),
+};
+
+// Webhook deliveries
+export const webhooksAPI = {
+  getDeliveries: (params) => api.get('/api/webhooks/deliveries', { params }),
+  getDelivery: (id) => api.get(`/api/webhooks/deliveries/${id}`),
+  replay: (id, force = false) => api.post(`/api/webhooks/deliveries/${id}/replay`, { force }),
+};
+
 // Containers
 export const containersAPI = {
   getAll: () => api.get('/api/containers'),
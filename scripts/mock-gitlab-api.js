@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal stand-in for the GitLab API, for trying out deployment status
+ * reporting without a GitLab instance.
+ *
+ * Usage:
+ *   node scripts/mock-gitlab-api.js            # listens on MOCK_GITLAB_PORT (4010)
+ *   GITLAB_URL=http://localhost:4010 npm start
+ *
+ * Supported endpoints:
+ *   GET  /api/v4/projects
+ *   POST /api/v4/projects/:id/statuses/:sha
+ *   GET  /api/v4/projects/:id/environments?name=
+ *   POST /api/v4/projects/:id/environments
+ *   PUT  /api/v4/projects/:id/environments/:environmentId
+ *
+ * Every API request is printed and kept in memory; GET /__requests returns
+ * them and DELETE /__requests clears them.
+ */
+
+const http = require('http');
+
+const port = parseInt(process.env.MOCK_GITLAB_PORT) || 4010;
+
+const requests = [];
+const statuses = [];
+const environments = [];
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+const routes = [
+  ['GET', /^\/api\/v4\/projects$/, () => [200, [{
+    id: 1,
+    path: 'demo-app',
+    path_with_namespace: 'vellaric/demo-app',
+    description: 'Mock project',
+    http_url_to_repo: 'https://gitlab.example.com/vellaric/demo-app.git',
+    ssh_url_to_repo: 'git@gitlab.example.com:vellaric/demo-app.git',
+    default_branch: 'main',
+    visibility: 'private',
+  }]]],
+
+  ['POST', /^\/api\/v4\/projects\/([^/]+)\/statuses\/([0-9a-f]{40})$/, ([projectId, sha], body) => {
+    const validStates = ['pending', 'running', 'success', 'failed', 'canceled'];
+    if (!validStates.includes(body.state)) {
+      return [400, { message: { state: ['is invalid'] } }];
+    }
+    const status = {
+      id: nextId++,
+      project_id: projectId,
+      sha,
+      ref: body.ref,
+      status: body.state,
+      name: body.name || 'default',
+      target_url: body.target_url || null,
+      description: body.description || null,
+      created_at: new Date().toISOString(),
+    };
+    statuses.push(status);
+    return [201, status];
+  }],
+
+  ['GET', /^\/api\/v4\/projects\/([^/]+)\/environments$/, ([projectId], body, query) => [200,
+    environments.filter(env => env.project_id === projectId && (!query.get('name') || env.name === query.get('name'))),
+  ]],
+
+  ['POST', /^\/api\/v4\/projects\/([^/]+)\/environments$/, ([projectId], body) => {
+    if (!body.name) {
+      return [400, { message: 'name is missing' }];
+    }
+    if (environments.some(env => env.project_id === projectId && env.name === body.name)) {
+      return [400, { message: { name: ['has already been taken'] } }];
+    }
+    const environment = {
+      id: nextId++,
+      project_id: projectId,
+      name: body.name,
+      external_url: body.external_url || null,
+      state: 'available',
+    };
+    environments.push(environment);
+    return [201, environment];
+  }],
+
+  ['PUT', /^\/api\/v4\/projects\/([^/]+)\/environments\/(\d+)$/, ([projectId, environmentId], body) => {
+    const environment = environments.find(env => env.project_id === projectId && env.id === parseInt(environmentId));
+    if (!environment) {
+      return [404, { message: '404 Environment Not Found' }];
+    }
+    if (body.external_url !== undefined) {
+      environment.external_url = body.external_url;
+    }
+    return [200, environment];
+  }],
+];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (url.pathname === '/__requests') {
+    if (req.method === 'DELETE') {
+      requests.length = 0;
+      return send(res, 204, {});
+    }
+    return send(res, 200, { requests, statuses, environments });
+  }
+
+  const body = await readBody(req);
+  requests.push({ method: req.method, path: url.pathname + url.search, body, at: new Date().toISOString() });
+  console.log(`${req.method} ${url.pathname}${url.search} ${Object.keys(body).length ? JSON.stringify(body) : ''}`);
+
+  const auth = req.headers['authorization'] || req.headers['private-token'];
+  if (!auth) {
+    return send(res, 401, { message: '401 Unauthorized' });
+  }
+
+  for (const [method, pattern, handler] of routes) {
+    const match = url.pathname.match(pattern);
+    if (method === req.method && match) {
+      const [status, result] = handler(match.slice(1).map(decodeURIComponent), body, url.searchParams);
+      return send(res, status, result);
+    }
+  }
+
+  send(res, 404, { message: '404 Not Found' });
+});
+
+server.listen(port, () => {
+  console.log(`Mock GitLab API listening on http://localhost:${port}`);
+});
@@ -0,0 +1,204 @@
+const express = require('express');
+const path = require('path');
+const {
+  getProjectById,
+  createProjectApp,
+  getProjectApps,
+  getProjectAppById,
+  updateProjectApp,
+  deleteProjectApp,
+} = require('../services/database');
+const { APP_NAME_PATTERN, normalizeRepoPath, resolveApp } = require('../services/apps');
+const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
+
+// Mounted at /api/projects/:projectId/apps
+const router = express.Router({ mergeParams: true });
+
+const REPO_PATH_PATTERN = /^[\w./-]+$/;
+const WATCH_PATH_PATTERN = /^[\w./*?-]+$/;
+const SUBDOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Stored app with its watch paths as a list and the settings deploys use
+ */
+function toPublicApp(app) {
+  return {
+    ...app,
+    watch_paths: String(app.watch_paths || '').split(',').filter(Boolean),
+    resolved: resolveApp(app),
+  };
+}
+
+/**
+ * Whether a path stays inside the repository
+ */
+function isRepoPath(value, pattern) {
+  return pattern.test(value) && !path.posix.isAbsolute(value) && !value.split('/').includes('..');
+}
+
+/**
+ * Validate the settings of a request; returns the columns to store or an
+ * error. Omitted settings are left out so updates keep them.
+ */
+function parseAppSettings({ context, dockerfile, subdomain, watchPaths }) {
+  const settings = {};
+
+  if (context !== undefined) {
+    settings.context = normalizeRepoPath(context);
+    if (!isRepoPath(settings.context, REPO_PATH_PATTERN)) {
+      return { error: 'Build context must be a relative path inside the repository' };
+    }
+  }
+  if (dockerfile !== undefined) {
+    settings.dockerfile = dockerfile ? normalizeRepoPath(dockerfile) : null;
+    if (settings.dockerfile && !isRepoPath(settings.dockerfile, REPO_PATH_PATTERN)) {
+      return { error: 'Dockerfile must be a relative path inside the repository' };
+    }
+  }
+  if (subdomain !== undefined) {
+    settings.subdomain = subdomain ? String(subdomain).trim().toLowerCase() : null;
+    if (settings.subdomain && !SUBDOMAIN_PATTERN.test(settings.subdomain)) {
+      return { error: 'Subdomain may only contain lowercase letters, digits and hyphens' };
+    }
+  }
+  if (watchPaths !== undefined) {
+    const paths = (Array.isArray(watchPaths) ? watchPaths : String(watchPaths || '').split(/[,\n]/))
+      .map(p => String(p).trim())
+      .filter(Boolean)
+      .map(normalizeRepoPath);
+    const invalid = paths.filter(p => !isRepoPath(p, WATCH_PATH_PATTERN));
+    if (invalid.length > 0) {
+      return { error: `Invalid watch paths: ${invalid.join(', ')}` };
+    }
+    settings.watch_paths = paths.length > 0 ? [...new Set(paths)].join(',') : null;
+  }
+
+  return { value: settings };
+}
+
+/**
+ * Load the project and, for /:appId routes, the app it owns
+ */
+async function loadApp(req, res) {
+  const project = await getProjectById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (!req.params.appId) {
+    return { project };
+  }
+  const app = await getProjectAppById(req.params.appId);
+  if (!app || app.project_id !== project.id) {
+    res.status(404).json({ error: 'App not found' });
+    return null;
+  }
+  return { project, app };
+}
+
+/**
+ * List the apps of a project
+ * GET /api/projects/:projectId/apps
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadApp(req, res);
+    if (!loaded) return;
+
+    const apps = await getProjectApps(loaded.project.id);
+    res.json({ success: true, data: apps.map(toPublicApp) });
+  } catch (error) {
+    logger.error('Error fetching project apps:', error);
+    res.status(500).json({ error: 'Failed to fetch apps' });
+  }
+});
+
+/**
+ * Add an app
+ * POST /api/projects/:projectId/apps
+ * Body: { name, context, dockerfile?, subdomain?, watchPaths? }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadApp(req, res);
+    if (!loaded) return;
+
+    const name = String(req.body.name || '').trim().toLowerCase();
+    if (!APP_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'App name must be 1-40 lowercase letters, digits or hyphens' });
+    }
+    const settings = parseAppSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+
+    const existing = await getProjectApps(loaded.project.id);
+    if (existing.some(app => app.name === name)) {
+      return res.status(409).json({ error: `App ${name} already exists` });
+    }
+
+    const id = await createProjectApp({
+      projectId: loaded.project.id,
+      name,
+      context: settings.value.context,
+      dockerfile: settings.value.dockerfile,
+      subdomain: settings.value.subdomain,
+      watchPaths: settings.value.watch_paths,
+    });
+
+    logger.info(`App added to ${loaded.project.name}: ${name}`);
+    const app = await getProjectAppById(id);
+    res.status(201).json({ success: true, data: toPublicApp(app) });
+  } catch (error) {
+    logger.error('Error creating project app:', error);
+    res.status(500).json({ error: 'Failed to create app' });
+  }
+});
+
+/**
+ * Update an app. The name is fixed: containers and variables are keyed by it.
+ * PUT /api/projects/:projectId/apps/:appId
+ * Body: { context?, dockerfile?, subdomain?, watchPaths? }
+ */
+router.put('/:appId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadApp(req, res);
+    if (!loaded) return;
+
+    const settings = parseAppSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+    if (Object.keys(settings.value).length > 0) {
+      await updateProjectApp(loaded.app.id, settings.value);
+    }
+
+    const app = await getProjectAppById(loaded.app.id);
+    res.json({ success: true, data: toPublicApp(app) });
+  } catch (error) {
+    logger.error('Error updating project app:', error);
+    res.status(500).json({ error: 'Failed to update app' });
+  }
+});
+
+/**
+ * Remove an app and its environment variables. Its running deployments
+ * are left alone; remove them with DELETE /api/deployments/:project/:branch?app=
+ * DELETE /api/projects/:projectId/apps/:appId
+ */
+router.delete('/:appId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadApp(req, res);
+    if (!loaded) return;
+
+    await deleteProjectApp(loaded.app);
+    logger.info(`App removed from ${loaded.project.name}: ${loaded.app.name}`);
+    res.json({ success: true, message: 'App deleted' });
+  } catch (error) {
+    logger.error('Error deleting project app:', error);
+    res.status(500).json({ error: 'Failed to delete app' });
+  }
+});
+
+module.exports = router;
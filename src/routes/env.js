@@ -1,5 +1,6 @@
 const express = require('express');
 const {
+  ENV_KEY_PATTERN,
   saveEnvironmentVariable,
   getEnvironmentVariables,
   getAllEnvironmentVariables,
@@ -7,12 +8,28 @@ const {
   getProjectById,
   getProjectByName,
 } = require('../services/database');
-const { queueDeployment } = require('../services/deploymentQueue');
+const { APP_NAME_PATTERN, getApps, queueAppDeployments } = require('../services/apps');
 const logger = require('../utils/logger');
 const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// runtime: container environment, build_arg: docker build --build-arg,
+// build_secret: BuildKit secret mount (never stored in the image)
+const ENV_SCOPES = ['runtime', 'build_arg', 'build_secret'];
+
+/**
+ * Hide values of secrets; build secrets are always secret
+ */
+function maskValue(envVar) {
+  return {
+    ...envVar,
+    scope: envVar.scope || 'runtime',
+    app: envVar.app || '',
+    value: envVar.is_secret || envVar.scope === 'build_secret' ? '••••••••' : envVar.value,
+  };
+}
+
 /**
  * Get environment variables for a specific project and branch
  * GET /api/env/:projectName/:branch
@@ -23,12 +40,7 @@ router.get('/:projectName/:branch', requireAuth, async (req, res) => {
     const envVars = await getEnvironmentVariables(projectName, branch);
     
     // Mask secret values in the response
-    const maskedVars = envVars.map(v => ({
-      ...v,
-      value: v.is_secret ? '••••••••' : v.value,
-    }));
-    
-    res.json({ success: true, data: maskedVars });
+    res.json({ success: true, data: envVars.map(maskValue) });
   } catch (error) {
     logger.error('Error fetching environment variables:', error);
     res.status(500).json({ error: 'Failed to fetch environment variables' });
@@ -45,12 +57,7 @@ router.get('/:projectName', requireAuth, async (req, res) => {
     const envVars = await getAllEnvironmentVariables(projectName);
     
     // Mask secret values in the response
-    const maskedVars = envVars.map(v => ({
-      ...v,
-      value: v.is_secret ? '••••••••' : v.value,
-    }));
-    
-    res.json({ success: true, data: maskedVars });
+    res.json({ success: true, data: envVars.map(maskValue) });
   } catch (error) {
     logger.error('Error fetching environment variables:', error);
     res.status(500).json({ error: 'Failed to fetch environment variables' });
@@ -60,11 +67,12 @@ router.get('/:projectName', requireAuth, async (req, res) => {
 /**
  * Save or update environment variable
  * POST /api/env
- * Body: { projectName, projectId, branch, key, value, isSecret, description, triggerRedeploy }
+ * Body: { projectName, projectId, branch, key, value, isSecret, description, scope, app, triggerRedeploy }
+ * `app` limits the variable to one app of a monorepo project
  */
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const { projectName, projectId, branch, key, value, isSecret, description, triggerRedeploy } = req.body;
+    const { projectName, projectId, branch, key, value, isSecret, description, scope = 'runtime', app = '', triggerRedeploy } = req.body;
     
     // Get project (support both projectId and projectName for backward compatibility)
     let project = null;
@@ -88,27 +96,42 @@ router.post('/', requireAuth, async (req, res) => {
     }
     
     // Validate key format (alphanumeric, underscores only)
-    if (!/^[A-Z_][A-Z0-9_]*$/i.test(key)) {
+    if (!ENV_KEY_PATTERN.test(key)) {
       return res.status(400).json({ 
         error: 'Invalid key format. Use alphanumeric characters and underscores only (e.g., NODE_ENV, API_KEY)' 
       });
     }
     
+    if (!ENV_SCOPES.includes(scope)) {
+      return res.status(400).json({ 
+        error: `Invalid scope. Use one of: ${ENV_SCOPES.join(', ')}` 
+      });
+    }
+    
+    if (app && !(await getApps(project.id)).some(a => a.name === app)) {
+      return res.status(400).json({ 
+        error: `Project ${project.name} has no app named ${app}` 
+      });
+    }
+    
     const result = await saveEnvironmentVariable(
       project.id,
       branch,
       key,
       value,
-      isSecret || false,
-      description || ''
+      isSecret || scope === 'build_secret',
+      description || '',
+      scope,
+      app
     );
     
-    logger.info(`Environment variable saved: ${project.name}/${branch}/${key}`);
+    logger.info(`Environment variable saved: ${project.name}/${branch}/${app ? `${app}/` : ''}${key}`);
     
-    // Trigger redeployment if requested
+    // Trigger redeployment if requested (all apps for shared variables)
     if (triggerRedeploy) {
       try {
         const deploymentData = {
+          projectId: project.id,
           projectName: project.name,
           projectPath: project.name,
           repoUrl: project.repo_url,
@@ -119,14 +142,15 @@ router.post('/', requireAuth, async (req, res) => {
           timestamp: new Date().toISOString(),
         };
         
-        const deploymentId = await queueDeployment(deploymentData);
-        logger.info(`Redeployment queued: ${deploymentId} (env var updated)`);
+        const { deploymentIds } = await queueAppDeployments(deploymentData, { appName: app || null });
+        logger.info(`Redeployment queued: ${deploymentIds.join(', ')} (env var updated)`);
         
         return res.json({ 
           success: true, 
           data: result,
           redeployed: true,
-          deploymentId 
+          deploymentId: deploymentIds[0],
+          deploymentIds
         });
       } catch (deployError) {
         logger.error('Error triggering redeployment:', deployError);
@@ -166,11 +190,11 @@ router.delete('/:id', requireAuth, async (req, res) => {
 /**
  * Bulk save environment variables
  * POST /api/env/bulk
- * Body: { projectName, branch, variables: [{ key, value, isSecret, description }] }
+ * Body: { projectName, branch, app, variables: [{ key, value, isSecret, description, scope }] }
  */
 router.post('/bulk', requireAuth, async (req, res) => {
   try {
-    const { projectName, branch, variables } = req.body;
+    const { projectName, branch, app = '', variables } = req.body;
     
     if (!projectName || !branch || !Array.isArray(variables)) {
       return res.status(400).json({ 
@@ -178,25 +202,41 @@ router.post('/bulk', requireAuth, async (req, res) => {
       });
     }
     
+    if (app && !APP_NAME_PATTERN.test(app)) {
+      return res.status(400).json({ 
+        error: `Invalid app name: ${app}` 
+      });
+    }
+    
     const results = [];
     const errors = [];
     
     for (const variable of variables) {
       try {
-        const { key, value, isSecret, description } = variable;
+        const { key, value, isSecret, description, scope = 'runtime' } = variable;
         
         if (!key || value === undefined) {
           errors.push({ key, error: 'Missing key or value' });
           continue;
         }
+        if (!ENV_KEY_PATTERN.test(key)) {
+          errors.push({ key, error: 'Invalid key format. Use alphanumeric characters and underscores only' });
+          continue;
+        }
+        if (!ENV_SCOPES.includes(scope)) {
+          errors.push({ key, error: `Invalid scope: ${scope}` });
+          continue;
+        }
         
         const result = await saveEnvironmentVariable(
           projectName,
           branch,
           key,
           value,
-          isSecret || false,
-          description || ''
+          isSecret || scope === 'build_secret',
+          description || '',
+          scope,
+          app
         );
         
         results.push(result);
@@ -0,0 +1,205 @@
+const express = require('express');
+const {
+  getProjectById,
+  createNotificationChannel,
+  getNotificationChannels,
+  getNotificationChannelById,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+} = require('../services/database');
+const { EVENTS, DEFAULT_EVENTS, sendTestNotification } = require('../services/notifications');
+const { getNotifier } = require('../services/notifiers');
+const { generateWebhookToken } = require('../utils/security');
+const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
+
+// Mounted at /api/projects/:projectId/notifications
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Hide the signing secret; it is only returned when the channel is created
+ */
+function toPublicChannel(channel) {
+  const { secret, events, enabled, ...rest } = channel;
+  return {
+    ...rest,
+    events: events.split(',').filter(Boolean),
+    enabled: !!enabled,
+    has_secret: !!secret,
+  };
+}
+
+/**
+ * Validate the events list of a request; returns the stored value or an error
+ */
+function parseEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { error: 'Select at least one event' };
+  }
+  const unknown = events.filter(event => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Unknown events: ${unknown.join(', ')}` };
+  }
+  return { value: [...new Set(events)].join(',') };
+}
+
+/**
+ * Load the project and, for /:channelId routes, the channel it owns
+ */
+async function loadChannel(req, res) {
+  const project = await getProjectById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (!req.params.channelId) {
+    return { project };
+  }
+  const channel = await getNotificationChannelById(req.params.channelId);
+  if (!channel || channel.project_id !== project.id) {
+    res.status(404).json({ error: 'Notification channel not found' });
+    return null;
+  }
+  return { project, channel };
+}
+
+/**
+ * List the notification channels of a project
+ * GET /api/projects/:projectId/notifications
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadChannel(req, res);
+    if (!loaded) return;
+
+    const channels = await getNotificationChannels(loaded.project.id);
+    res.json({ success: true, data: channels.map(toPublicChannel), events: EVENTS });
+  } catch (error) {
+    logger.error('Error fetching notification channels:', error);
+    res.status(500).json({ error: 'Failed to fetch notification channels' });
+  }
+});
+
+/**
+ * Add a notification channel
+ * POST /api/projects/:projectId/notifications
+ * Body: { type, name, target, events, enabled }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadChannel(req, res);
+    if (!loaded) return;
+
+    const { type, name, target, events = DEFAULT_EVENTS, enabled = true } = req.body;
+    const notifier = getNotifier(type);
+    if (!notifier) {
+      return res.status(400).json({ error: `Unknown channel type: ${type}` });
+    }
+    const targetError = notifier.validateTarget(String(target || '').trim());
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    const parsedEvents = parseEvents(events);
+    if (parsedEvents.error) {
+      return res.status(400).json({ error: parsedEvents.error });
+    }
+
+    const secret = notifier.hasSecret ? generateWebhookToken() : null;
+    const id = await createNotificationChannel({
+      projectId: loaded.project.id,
+      type,
+      name: name ? String(name).trim() : null,
+      target: String(target).trim(),
+      secret,
+      events: parsedEvents.value,
+      enabled,
+    });
+
+    logger.info(`Notification channel added to ${loaded.project.name}: ${notifier.label}`);
+    const channel = await getNotificationChannelById(id);
+    res.status(201).json({ success: true, data: { ...toPublicChannel(channel), secret } });
+  } catch (error) {
+    logger.error('Error creating notification channel:', error);
+    res.status(500).json({ error: 'Failed to create notification channel' });
+  }
+});
+
+/**
+ * Update a notification channel
+ * PUT /api/projects/:projectId/notifications/:channelId
+ * Body: { name?, target?, events?, enabled? }
+ */
+router.put('/:channelId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadChannel(req, res);
+    if (!loaded) return;
+
+    const { name, target, events, enabled } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      updates.name = name ? String(name).trim() : null;
+    }
+    if (target !== undefined) {
+      const targetError = getNotifier(loaded.channel.type).validateTarget(String(target).trim());
+      if (targetError) {
+        return res.status(400).json({ error: targetError });
+      }
+      updates.target = String(target).trim();
+    }
+    if (events !== undefined) {
+      const parsedEvents = parseEvents(events);
+      if (parsedEvents.error) {
+        return res.status(400).json({ error: parsedEvents.error });
+      }
+      updates.events = parsedEvents.value;
+    }
+    if (enabled !== undefined) {
+      updates.enabled = enabled ? 1 : 0;
+    }
+
+    await updateNotificationChannel(loaded.channel.id, updates);
+    const channel = await getNotificationChannelById(loaded.channel.id);
+    res.json({ success: true, data: toPublicChannel(channel) });
+  } catch (error) {
+    logger.error('Error updating notification channel:', error);
+    res.status(500).json({ error: 'Failed to update notification channel' });
+  }
+});
+
+/**
+ * Remove a notification channel
+ * DELETE /api/projects/:projectId/notifications/:channelId
+ */
+router.delete('/:channelId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadChannel(req, res);
+    if (!loaded) return;
+
+    await deleteNotificationChannel(loaded.channel.id);
+    logger.info(`Notification channel removed from ${loaded.project.name}: ${loaded.channel.id}`);
+    res.json({ success: true, message: 'Notification channel deleted' });
+  } catch (error) {
+    logger.error('Error deleting notification channel:', error);
+    res.status(500).json({ error: 'Failed to delete notification channel' });
+  }
+});
+
+/**
+ * Send a test message to a channel
+ * POST /api/projects/:projectId/notifications/:channelId/test
+ */
+router.post('/:channelId/test', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadChannel(req, res);
+    if (!loaded) return;
+
+    await sendTestNotification(loaded.channel, loaded.project);
+    res.json({ success: true, message: 'Test notification sent' });
+  } catch (error) {
+    logger.warn(`Test notification to ${req.params.channelId} failed: ${error.message}`);
+    res.status(502).json({ error: `Test notification failed: ${error.message}` });
+  }
+});
+
+module.exports = router;
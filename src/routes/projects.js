@@ -7,12 +7,30 @@ const {
   updateProject,
   deleteProject,
 } = require('../services/database');
-const { queueDeployment } = require('../services/deploymentQueue');
+const { getApps, queueAppDeployments } = require('../services/apps');
+const { isValidGitRef, generateWebhookToken, encryptText } = require('../utils/security');
+const { listProjects, isGitLabRepo } = require('../utils/gitlab');
 const logger = require('../utils/logger');
 const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// container: built into an image and run behind nginx
+// static: built once, the output is served by nginx directly
+const PROJECT_TYPES = ['container', 'static'];
+
+// Deploys can only wait for CI on GitLab, the only host sending pipeline events
+const PIPELINE_GATE_ERROR = 'Deploying after a successful CI pipeline is only supported for GitLab repositories';
+
+/**
+ * Project as returned by the API; the webhook secret is only shown when
+ * it is created or rotated
+ */
+function toPublicProject(project) {
+  const { webhook_secret, ...rest } = project;
+  return { ...rest, has_webhook_secret: !!webhook_secret, supports_pipeline_gate: isGitLabRepo(project.repo_url) };
+}
+
 /**
  * Get all projects
  * GET /api/projects
@@ -20,7 +38,7 @@ const router = express.Router();
 router.get('/', requireAuth, async (req, res) => {
   try {
     const projects = await getAllProjects();
-    res.json({ success: true, data: projects });
+    res.json({ success: true, data: projects.map(toPublicProject) });
   } catch (error) {
     logger.error('Error fetching projects:', error);
     res.status(500).json({ error: 'Failed to fetch projects' });
@@ -40,7 +58,7 @@ router.get('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
     
-    res.json({ success: true, data: project });
+    res.json({ success: true, data: toPublicProject(project) });
   } catch (error) {
     logger.error('Error fetching project:', error);
     res.status(500).json({ error: 'Failed to fetch project' });
@@ -50,11 +68,11 @@ router.get('/:id', requireAuth, async (req, res) => {
 /**
  * Create a new project
  * POST /api/projects
- * Body: { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId }
+ * Body: { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId, previewsEnabled, previewBaseBranch, previewsFromForks, deployOnPipeline, projectType }
  */
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId } = req.body;
+    const { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId, previewsEnabled, previewBaseBranch, previewsFromForks, deployOnPipeline, projectType } = req.body;
     
     // Validate required fields
     if (!name || !repoUrl) {
@@ -70,6 +88,18 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
     
+    if (previewBaseBranch && !isValidGitRef(previewBaseBranch)) {
+      return res.status(400).json({ error: `Invalid preview base branch: ${previewBaseBranch}` });
+    }
+    
+    if (projectType && !PROJECT_TYPES.includes(projectType)) {
+      return res.status(400).json({ error: `Invalid project type. Use one of: ${PROJECT_TYPES.join(', ')}` });
+    }
+    
+    if (deployOnPipeline === true && !isGitLabRepo(repoUrl)) {
+      return res.status(400).json({ error: PIPELINE_GATE_ERROR });
+    }
+    
     // Check if project with same name already exists
     const existing = await getProjectByName(name);
     if (existing) {
@@ -78,6 +108,8 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
     
+    // Stored encrypted; the plain secret is only returned by this request
+    const webhookSecret = generateWebhookToken();
     const project = await createProject({
       name,
       repoUrl,
@@ -86,10 +118,16 @@ router.post('/', requireAuth, async (req, res) => {
       autoDeploy: autoDeploy !== false, // default true
       description: description || '',
       gitlabProjectId: gitlabProjectId || null,
+      previewsEnabled: previewsEnabled === true,
+      previewBaseBranch: previewBaseBranch || null,
+      previewsFromForks: previewsFromForks === true,
+      webhookSecret: encryptText(webhookSecret),
+      deployOnPipeline: deployOnPipeline === true,
+      projectType: projectType || 'container',
     });
     
     logger.info(`Project created: ${name}`);
-    res.json({ success: true, data: project });
+    res.json({ success: true, data: { ...project, webhookSecret } });
   } catch (error) {
     logger.error('Error creating project:', error);
     res.status(500).json({ error: 'Failed to create project' });
@@ -99,12 +137,16 @@ router.post('/', requireAuth, async (req, res) => {
 /**
  * Update project
  * PUT /api/projects/:id
- * Body: { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description }
+ * Body: { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, previewsEnabled, previewBaseBranch, previewsFromForks, deployOnPipeline, projectType }
  */
 router.put('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+
+    // The webhook secret can only be changed by rotating it
+    delete updates.webhook_secret;
+    delete updates.webhookSecret;
     
     // Check if project exists
     const project = await getProjectById(id);
@@ -145,6 +187,37 @@ router.put('/:id', requireAuth, async (req, res) => {
       updates.gitlab_project_id = updates.gitlabProjectId;
       delete updates.gitlabProjectId;
     }
+    if ('previewsEnabled' in updates) {
+      updates.previews_enabled = updates.previewsEnabled ? 1 : 0;
+      delete updates.previewsEnabled;
+    }
+    if ('previewsFromForks' in updates) {
+      updates.previews_from_forks = updates.previewsFromForks ? 1 : 0;
+      delete updates.previewsFromForks;
+    }
+    if ('deployOnPipeline' in updates) {
+      updates.deploy_on_pipeline = updates.deployOnPipeline ? 1 : 0;
+      delete updates.deployOnPipeline;
+    }
+    if ('previewBaseBranch' in updates) {
+      if (updates.previewBaseBranch && !isValidGitRef(updates.previewBaseBranch)) {
+        return res.status(400).json({ error: `Invalid preview base branch: ${updates.previewBaseBranch}` });
+      }
+      updates.preview_base_branch = updates.previewBaseBranch || null;
+      delete updates.previewBaseBranch;
+    }
+    if ('projectType' in updates) {
+      if (!PROJECT_TYPES.includes(updates.projectType)) {
+        return res.status(400).json({ error: `Invalid project type. Use one of: ${PROJECT_TYPES.join(', ')}` });
+      }
+      updates.project_type = updates.projectType;
+      delete updates.projectType;
+    }
+    
+    const deployOnPipeline = 'deploy_on_pipeline' in updates ? updates.deploy_on_pipeline : project.deploy_on_pipeline;
+    if (('deploy_on_pipeline' in updates || updates.repo_url) && deployOnPipeline && !isGitLabRepo(updates.repo_url || project.repo_url)) {
+      return res.status(400).json({ error: PIPELINE_GATE_ERROR });
+    }
     
     await updateProject(id, updates);
     
@@ -156,6 +229,31 @@ router.put('/:id', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Generate a new webhook secret for a project. The old secret stops
+ * working immediately; the new one is only returned by this request.
+ * POST /api/projects/:id/webhook-secret
+ */
+router.post('/:id/webhook-secret', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const project = await getProjectById(id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const webhookSecret = generateWebhookToken();
+    await updateProject(id, { webhook_secret: encryptText(webhookSecret) });
+    
+    logger.info(`Webhook secret rotated for project: ${project.name}`);
+    res.json({ success: true, data: { webhookSecret } });
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
 /**
  * Delete project (soft delete)
  * DELETE /api/projects/:id
@@ -183,12 +281,13 @@ router.delete('/:id', requireAuth, async (req, res) => {
 /**
  * Trigger manual deployment
  * POST /api/projects/:id/deploy
- * Body: { branch, commit }
+ * Body: { branch, commit, cleanBuild, app }
+ * Projects with apps deploy all of them unless `app` names one
  */
 router.post('/:id/deploy', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { branch, commit } = req.body;
+    const { branch, commit, cleanBuild, app } = req.body;
     
     // Get project
     const project = await getProjectById(id);
@@ -204,6 +303,15 @@ router.post('/:id/deploy', requireAuth, async (req, res) => {
       });
     }
     
+    // Validate commit SHA or tag (defaults to the head of the branch)
+    if (commit && !isValidGitRef(commit)) {
+      return res.status(400).json({ error: `Invalid commit SHA or tag: ${commit}` });
+    }
+    
+    if (app && !(await getApps(project.id)).some(a => a.name === app)) {
+      return res.status(400).json({ error: `Project ${project.name} has no app named ${app}` });
+    }
+    
     // Queue deployment
     const deploymentData = {
       projectId: project.id,
@@ -212,18 +320,23 @@ router.post('/:id/deploy', requireAuth, async (req, res) => {
       repoUrl: project.repo_url,
       branch: branch || project.default_branch,
       commit: commit || 'manual',
-      commitMessage: 'Manual deployment from dashboard',
+      commitMessage: commit ? `Manual deployment of ${commit} from dashboard` : 'Manual deployment from dashboard',
       author: req.session?.username || 'dashboard-user',
       timestamp: new Date().toISOString(),
+      cleanBuild: cleanBuild === true,
+      // A chosen commit or tag is never superseded by a later push
+      pinned: Boolean(commit),
     };
     
-    const deploymentId = await queueDeployment(deploymentData);
+    const { deploymentIds, apps } = await queueAppDeployments(deploymentData, { appName: app || null });
     
-    logger.info(`Manual deployment queued: ${deploymentId} for ${project.name}/${branch}`);
+    logger.info(`Manual deployment queued: ${deploymentIds.join(', ')} for ${project.name}/${branch}${apps.length > 0 ? ` (${apps.join(', ')})` : ''}`);
     res.json({ 
       success: true, 
       message: 'Deployment queued successfully',
-      deploymentId,
+      deploymentId: deploymentIds[0],
+      deploymentIds,
+      apps,
       project: project.name,
       branch 
     });
@@ -248,18 +361,7 @@ router.get('/gitlab/list', requireAuth, async (req, res) => {
     }
     
     // Fetch projects from GitLab API
-    const fetch = require('node-fetch');
-    const response = await fetch('https://gitlab.com/api/v4/projects?membership=true&per_page=100', {
-      headers: {
-        'Authorization': `Bearer ${gitlabToken}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`GitLab API error: ${response.status}`);
-    }
-    
-    const projects = await response.json();
+    const projects = await listProjects();
     
     // Format response
     const formattedProjects = projects.map(p => ({
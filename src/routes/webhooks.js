@@ -0,0 +1,91 @@
+const express = require('express');
+const { getWebhookDeliveries, getWebhookDeliveryById } = require('../services/database');
+const { replayDelivery } = require('../services/webhooks');
+const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Parse the stored JSON columns of a delivery
+ */
+function toDeliveryDetails(delivery) {
+  return {
+    ...delivery,
+    headers: JSON.parse(delivery.headers || '{}'),
+    payload: JSON.parse(delivery.payload || 'null'),
+  };
+}
+
+/**
+ * List webhook deliveries, newest first
+ * GET /api/webhooks/deliveries?projectId=&decision=&limit=50&offset=0
+ */
+router.get('/deliveries', requireAuth, async (req, res) => {
+  try {
+    const { projectId, decision } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const deliveries = await getWebhookDeliveries({ projectId, decision, limit, offset });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+/**
+ * Get a webhook delivery with its headers and payload
+ * GET /api/webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', requireAuth, async (req, res) => {
+  try {
+    const delivery = await getWebhookDeliveryById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ success: true, data: toDeliveryDetails(delivery) });
+  } catch (error) {
+    logger.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+/**
+ * Process a stored delivery again with the current project configuration
+ * POST /api/webhooks/deliveries/:id/replay
+ * Body: { force } - required for deliveries that failed authentication
+ */
+router.post('/deliveries/:id/replay', requireAuth, async (req, res) => {
+  try {
+    const delivery = await getWebhookDeliveryById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    // Unsigned payloads could come from anyone; replaying them is a conscious choice
+    if (!delivery.authenticated && req.body?.force !== true) {
+      return res.status(409).json({
+        error: 'This delivery was not authenticated. Review its payload and replay with force to run it anyway.',
+      });
+    }
+
+    const outcome = await replayDelivery(delivery);
+    res.json({
+      success: true,
+      data: {
+        deliveryId: outcome.deliveryId,
+        decision: outcome.decision,
+        statusCode: outcome.status,
+        response: outcome.body,
+      },
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,21 @@ const path = require('path');
 const webhookRouter = require('./routes/webhook');
 const envRouter = require('./routes/env');
 const projectsRouter = require('./routes/projects');
-const { getDeploymentHistory } = require('./services/database');
-const { getQueueStatus } = require('./services/deploymentQueue');
+const webhooksRouter = require('./routes/webhooks');
+const notificationsRouter = require('./routes/notifications');
+const appsRouter = require('./routes/apps');
+const {
+  getDeploymentHistory,
+  getDeploymentById,
+  getProjectByName,
+  getDeploymentStages,
+  getDeploymentStageStats,
+} = require('./services/database');
+const { getQueueStatus, queueDeployment, cancelDeployment, restoreQueue, shutdownQueue } = require('./services/deploymentQueue');
+const { startPreviewSweeper } = require('./services/previews');
+const { APP_NAME_PATTERN, getApps } = require('./services/apps');
 const { listDeployments, removeDeployment, cleanupDockerImages } = require('./services/cleanup');
-const { getDeploymentLogs } = require('./services/deploymentLogs');
+const { getDeploymentLogs, eachDeploymentLog, flushDeploymentLogs } = require('./services/deploymentLogs');
 const backupService = require('./services/backupService');
 const databaseManager = require('./services/databaseManager');
 const { sessionMiddleware, requireAuth, handleLogin, handleLogout, checkAuth, handleChangePassword } = require('./middleware/auth');
@@ -24,7 +35,12 @@ const PORT = process.env.PORT || 3000;
 global.io = io;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signatures computed over the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(sessionMiddleware);
 
@@ -48,18 +64,27 @@ app.post('/api/logout', handleLogout);
 app.get('/api/auth/check', checkAuth);
 app.post('/api/auth/change-password', requireAuth, handleChangePassword);
 
-// Webhook route (no auth for GitLab webhooks)
+// Webhook routes (no auth for GitLab/GitHub webhooks)
 app.use('/webhook', webhookRouter);
 
 // Protected routes - require authentication
 app.use(requireAuth);
 
+// Project notification channels API (requires auth)
+app.use('/api/projects/:projectId/notifications', notificationsRouter);
+
+// Monorepo apps API (requires auth)
+app.use('/api/projects/:projectId/apps', appsRouter);
+
 // Projects API (requires auth)
 app.use('/api/projects', projectsRouter);
 
 // Environment variables API (requires auth)
 app.use('/api/env', envRouter);
 
+// Webhook delivery log API (requires auth)
+app.use('/api/webhooks', webhooksRouter);
+
 // Serve React app or fallback to old HTML dashboard
 const fs = require('fs');
 const reactBuildPath = path.join(__dirname, '../public-react');
@@ -95,18 +120,135 @@ app.get('/api/queue', (req, res) => {
   res.json(status);
 });
 
-// Get deployment logs
-app.get('/api/deployments/:id/logs', (req, res) => {
+// Average duration of each stage per day, to spot stages getting slower
+app.get('/api/deployments/stage-stats', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const stats = await getDeploymentStageStats({ projectName: req.query.project || null, since });
+    res.json({ stats, days });
+  } catch (error) {
+    logger.error('Error fetching deployment stage stats:', error);
+    res.status(500).json({ error: 'Failed to fetch stage stats' });
+  }
+});
+
+// Stages of a deployment with their status and timings
+app.get('/api/deployments/:id/stages', async (req, res) => {
+  try {
+    const stages = await getDeploymentStages(req.params.id);
+    res.json({ stages });
+  } catch (error) {
+    logger.error('Error fetching deployment stages:', error);
+    res.status(500).json({ error: 'Failed to fetch stages' });
+  }
+});
+
+// Get a page of deployment logs (oldest first)
+app.get('/api/deployments/:id/logs', async (req, res) => {
   try {
     const { id } = req.params;
-    const logs = getDeploymentLogs(id);
-    res.json({ logs });
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { logs, total } = await getDeploymentLogs(id, { limit, offset });
+    res.json({ logs, total, offset, limit });
   } catch (error) {
     logger.error('Error fetching deployment logs:', error);
     res.status(500).json({ error: 'Failed to fetch logs' });
   }
 });
 
+// Download the full log of a deployment as plain text
+app.get('/api/deployments/:id/logs/download', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const deployment = await getDeploymentById(id);
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.log"`);
+    await eachDeploymentLog(id, (log) => {
+      res.write(`${log.timestamp} [${log.step || log.level}] ${log.message}\n`);
+    });
+    res.end();
+  } catch (error) {
+    logger.error('Error downloading deployment logs:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Failed to download logs' });
+    }
+  }
+});
+
+// Roll back to the image and environment (or the static site release) of a
+// previous successful deployment
+app.post('/api/deployments/:id/rollback', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const target = await getDeploymentById(id);
+    
+    if (!target) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    if (target.status !== 'success' || !(target.image_tag || target.release_path)) {
+      return res.status(400).json({ error: 'Only successful deployments with a recorded image or release can be rolled back' });
+    }
+    
+    const project = await getProjectByName(target.project_name);
+    // Apps keep the names they were deployed with
+    const { app } = target.job_data ? JSON.parse(target.job_data) : {};
+    const deploymentId = await queueDeployment({
+      projectId: project?.id,
+      projectName: target.project_name,
+      projectPath: target.project_path,
+      repoUrl: target.repo_url,
+      branch: target.branch,
+      commit: target.commit_hash,
+      commitMessage: `Rollback to deployment ${id}`,
+      author: req.session?.username || 'dashboard-user',
+      timestamp: new Date().toISOString(),
+      rollbackOf: id,
+      previewKey: target.preview_key || undefined,
+      app,
+    });
+    
+    logger.info(`Rollback queued: ${deploymentId} (to ${id})`);
+    res.json({ success: true, message: 'Rollback queued', deploymentId });
+  } catch (error) {
+    logger.error('Error queueing rollback:', error);
+    res.status(500).json({ error: 'Failed to queue rollback' });
+  }
+});
+
+// Cancel a queued or building deployment
+app.post('/api/deployments/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deployment = await getDeploymentById(id);
+    
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    const result = await cancelDeployment(id);
+    if (!result.cancelled) {
+      return res.status(409).json({ error: `Deployment can no longer be cancelled (status: ${deployment.status})` });
+    }
+    
+    logger.info(`Deployment cancel requested: ${id}`);
+    res.json({ success: true, status: result.status });
+  } catch (error) {
+    logger.error('Error cancelling deployment:', error);
+    res.status(500).json({ error: 'Failed to cancel deployment' });
+  }
+});
+
 // List active deployments
 app.get('/api/deployments/active', async (req, res) => {
   try {
@@ -118,11 +260,20 @@ app.get('/api/deployments/active', async (req, res) => {
   }
 });
 
-// Remove deployment
+// Remove deployment (?app= removes one app of a monorepo project)
 app.delete('/api/deployments/:projectName/:branch?', async (req, res) => {
   try {
     const { projectName, branch = 'main' } = req.params;
-    const result = await removeDeployment(projectName, branch);
+    let deployedApp = null;
+    if (req.query.app) {
+      if (!APP_NAME_PATTERN.test(req.query.app)) {
+        return res.status(400).json({ error: `Invalid app name: ${req.query.app}` });
+      }
+      // Apps deleted from the project are found by their container labels
+      const project = await getProjectByName(projectName);
+      deployedApp = (await getApps(project?.id)).find(a => a.name === req.query.app) || { name: req.query.app };
+    }
+    const result = await removeDeployment(projectName, branch, deployedApp);
     res.json(result);
   } catch (error) {
     logger.error('Error removing deployment:', error);
@@ -545,7 +696,13 @@ app.get('/', (req, res) => {
       health: 'GET /webhook/health',
       deployments: 'GET /api/deployments',
       activeDeployments: 'GET /api/deployments/active',
-      removeDeployment: 'DELETE /api/deployments/:project/:branch',
+      deploymentLogs: 'GET /api/deployments/:id/logs?offset=0&limit=1000',
+      downloadDeploymentLogs: 'GET /api/deployments/:id/logs/download',
+      deploymentStages: 'GET /api/deployments/:id/stages',
+      stageStats: 'GET /api/deployments/stage-stats?project=&days=30',
+      removeDeployment: 'DELETE /api/deployments/:project/:branch?app=',
+      rollback: 'POST /api/deployments/:id/rollback',
+      cancel: 'POST /api/deployments/:id/cancel',
       queue: 'GET /api/queue',
       cleanup: 'POST /api/cleanup',
     },
@@ -584,15 +741,38 @@ server.listen(PORT, () => {
   logger.info(`🚀 Vellaric-Signal server running on port ${PORT}`);
   logger.info(`📋 Webhook endpoint: http://localhost:${PORT}/webhook/gitlab`);
   logger.info(`🔍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  // Resume deployments that were queued before the last restart
+  restoreQueue().catch((error) => {
+    logger.error('Error restoring deployment queue:', error);
+  });
+
+  // Remove merge request previews nobody has pushed to in a while
+  startPreviewSweeper();
 });
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
+// Graceful shutdown: let active builds finish (or mark them interrupted)
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully`);
+  
+  server.close();
+  
+  try {
+    const timeoutSeconds = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 60;
+    await shutdownQueue(timeoutSeconds * 1000);
+    await flushDeploymentLogs();
+  } catch (error) {
+    logger.error('Error during shutdown:', error);
+  }
+  
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
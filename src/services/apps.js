@@ -0,0 +1,137 @@
+/**
+ * Monorepo apps
+ *
+ * A project can define several apps, each built from its own directory of
+ * the same checkout with its own Dockerfile, subdomain and environment
+ * variables. Pushes only rebuild the apps whose watch paths match a
+ * changed file; projects without apps deploy the repository as one app.
+ */
+
+const logger = require('../utils/logger');
+const { getProjectApps } = require('./database');
+const { queueDeployment } = require('./deploymentQueue');
+
+const APP_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Repository-relative path without leading ./ or /, and '.' for the root
+ */
+function normalizeRepoPath(value) {
+  const normalized = String(value || '')
+    .trim()
+    .replace(/^(\.\/|\/)+/, '')
+    .replace(/\/+$/, '');
+  return normalized || '.';
+}
+
+/**
+ * Regular expression for a watch path: `**` matches across directories,
+ * `*` and `?` within one. A pattern also matches everything below it, so
+ * `services/api` covers the whole directory.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*' && pattern[i + 2] === '/') {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+/**
+ * Deploy settings of an app row with defaults filled in: the Dockerfile
+ * of its context directory, and the context directory as watch path
+ */
+function resolveApp(row) {
+  const context = normalizeRepoPath(row.context);
+  const inContext = (file) => (context === '.' ? file : `${context}/${file}`);
+  const watchPaths = String(row.watch_paths || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(normalizeRepoPath);
+
+  return {
+    name: row.name,
+    context,
+    dockerfile: row.dockerfile ? normalizeRepoPath(row.dockerfile) : inContext('Dockerfile'),
+    subdomain: row.subdomain || null,
+    watchPaths: watchPaths.length > 0 ? watchPaths : [inContext('**')],
+  };
+}
+
+/**
+ * Apps with a watch path matching one of the changed files. Without a
+ * list of changed files every app is affected.
+ */
+function getAffectedApps(apps, changedFiles) {
+  if (!Array.isArray(changedFiles)) {
+    return apps;
+  }
+  return apps.filter(app => {
+    const patterns = app.watchPaths.map(globToRegExp);
+    return changedFiles.some(file => patterns.some(pattern => pattern.test(file)));
+  });
+}
+
+/**
+ * Resolved apps of a project
+ */
+async function getApps(projectId) {
+  return projectId ? (await getProjectApps(projectId)).map(resolveApp) : [];
+}
+
+/**
+ * Queue deployments of a project: one per affected app, or a single one
+ * for projects without apps. `appName` limits the deploy to one app.
+ * Returns the queued deployment ids and the names of the apps deployed.
+ */
+async function queueAppDeployments(deploymentData, { changedFiles = null, appName = null } = {}) {
+  const apps = await getApps(deploymentData.projectId);
+  if (apps.length === 0) {
+    return { deploymentIds: [await queueDeployment(deploymentData)], apps: [] };
+  }
+
+  let selected;
+  if (appName) {
+    selected = apps.filter(app => app.name === appName);
+    if (selected.length === 0) {
+      throw new Error(`Unknown app: ${appName}`);
+    }
+  } else {
+    selected = getAffectedApps(apps, changedFiles);
+  }
+
+  if (changedFiles && !appName) {
+    const skipped = apps.length - selected.length;
+    logger.info(`${deploymentData.projectName}: ${selected.length} of ${apps.length} apps changed${skipped > 0 ? `, skipping ${apps.filter(app => !selected.includes(app)).map(app => app.name).join(', ')}` : ''}`);
+  }
+
+  const deploymentIds = [];
+  for (const app of selected) {
+    deploymentIds.push(await queueDeployment({ ...deploymentData, app }));
+  }
+  return { deploymentIds, apps: selected.map(app => app.name) };
+}
+
+module.exports = {
+  APP_NAME_PATTERN,
+  normalizeRepoPath,
+  globToRegExp,
+  resolveApp,
+  getAffectedApps,
+  getApps,
+  queueAppDeployments,
+};
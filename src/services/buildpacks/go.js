@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, readText, toDockerfile, cmd, buildpackError } = require('./helpers');
+
+const PORT = 8080;
+
+/**
+ * Whether a directory holds the sources of a `main` package
+ */
+async function isMainPackage(dir) {
+  const files = await fs.readdir(dir).catch(() => []);
+  for (const file of files.filter(name => name.endsWith('.go') && !name.endsWith('_test.go'))) {
+    const source = await fs.readFile(path.join(dir, file), 'utf8').catch(() => '');
+    if (/^package\s+main\b/m.test(source)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Package to build: the repository root, or the only (or first) command
+ * under cmd/
+ */
+async function findMainPackage(dir) {
+  if (await isMainPackage(dir)) {
+    return '.';
+  }
+  const commands = await fs.readdir(path.join(dir, 'cmd'), { withFileTypes: true }).catch(() => []);
+  for (const entry of commands.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (await isMainPackage(path.join(dir, 'cmd', entry.name))) {
+      return `./cmd/${entry.name}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Go apps (go.mod), compiled into a static binary on a small runtime image
+ */
+module.exports = {
+  name: 'go',
+  label: 'Go',
+
+  async detect(dir) {
+    const goMod = await readText(dir, 'go.mod');
+    if (goMod === null) {
+      return null;
+    }
+
+    const versionMatch = goMod.match(/^go\s+(\d+\.\d+)/m);
+    const version = versionMatch ? versionMatch[1] : '1';
+    const mainPackage = await findMainPackage(dir);
+    if (!mainPackage) {
+      throw buildpackError('Found go.mod but no main package in the repository root or under cmd/');
+    }
+
+    return {
+      summary: `go ${version}, builds ${mainPackage}`,
+      dockerfile: toDockerfile([
+        `FROM golang:${version}-alpine AS build`,
+        'WORKDIR /src',
+        (await fileExists(dir, 'go.sum')) ? 'COPY go.mod go.sum ./' : 'COPY go.mod ./',
+        'RUN go mod download',
+        'COPY . .',
+        `RUN CGO_ENABLED=0 go build -o /out/app ${mainPackage}`,
+        '',
+        'FROM alpine:3',
+        'RUN apk add --no-cache ca-certificates',
+        'WORKDIR /app',
+        'COPY --from=build /out/app /app/app',
+        `ENV PORT=${PORT}`,
+        `EXPOSE ${PORT}`,
+        cmd(['/app/app']),
+      ]),
+    };
+  },
+};
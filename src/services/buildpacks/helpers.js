@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Whether a file or directory exists in the build context
+ */
+function fileExists(dir, name) {
+  return fs.access(path.join(dir, name)).then(() => true).catch(() => false);
+}
+
+/**
+ * Text of a file in the build context, or null when it does not exist
+ */
+function readText(dir, name) {
+  return fs.readFile(path.join(dir, name), 'utf8').catch(() => null);
+}
+
+/**
+ * First of `names` that exists in the build context
+ */
+async function findFile(dir, names) {
+  for (const name of names) {
+    if (await fileExists(dir, name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Dockerfile text from a list of lines; null, undefined and false entries
+ * are left out so optional instructions can be written inline
+ */
+function toDockerfile(lines) {
+  return `${lines.filter(line => line !== null && line !== undefined && line !== false).join('\n')}\n`;
+}
+
+/**
+ * Exec-form CMD instruction
+ */
+function cmd(args) {
+  return `CMD ${JSON.stringify(args)}`;
+}
+
+/**
+ * Detection failure for a recognized stack that cannot be built as is
+ */
+function buildpackError(message) {
+  const error = new Error(message);
+  error.buildpack = true;
+  return error;
+}
+
+module.exports = {
+  fileExists,
+  readText,
+  findFile,
+  toDockerfile,
+  cmd,
+  buildpackError,
+};
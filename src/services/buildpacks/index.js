@@ -0,0 +1,48 @@
+/**
+ * Buildpacks for repositories without a Dockerfile
+ *
+ * Each buildpack recognizes one kind of stack from the files in the build
+ * context and writes a Dockerfile for it:
+ *
+ *   name    short identifier (node, python, ...)
+ *   label   shown in deployment logs
+ *   detect  (dir) => { summary, dockerfile } when the stack is recognized,
+ *           or null; throws an Error with `buildpack` set when the stack
+ *           is recognized but cannot be built as is
+ *
+ * Generated Dockerfiles EXPOSE the port the app listens on, so the usual
+ * port detection applies to them.
+ */
+
+const buildpacks = [
+  require('./node'),
+  require('./python'),
+  require('./go'),
+  require('./static'),
+];
+
+// Files that identify a supported stack, for error messages
+const MARKER_FILES = ['package.json', 'requirements.txt', 'pyproject.toml', 'go.mod', 'index.html'];
+
+// Used when the build context has no .dockerignore of its own
+const DEFAULT_DOCKERIGNORE = ['.git', 'node_modules', '__pycache__', '*.pyc', '.venv', '.env'];
+
+/**
+ * Build plan from the first buildpack that recognizes the directory
+ */
+async function detectBuildpack(dir) {
+  for (const buildpack of buildpacks) {
+    const plan = await buildpack.detect(dir);
+    if (plan) {
+      return { name: buildpack.name, label: buildpack.label, ...plan };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  buildpacks,
+  MARKER_FILES,
+  DEFAULT_DOCKERIGNORE,
+  detectBuildpack,
+};
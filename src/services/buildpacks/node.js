@@ -0,0 +1,140 @@
+const { fileExists, readText, findFile, toDockerfile, cmd, buildpackError } = require('./helpers');
+
+const DEFAULT_NODE_VERSION = '22';
+const PORT = 3000;
+
+// Frontend tools whose build output is a static site, and where it ends up
+const STATIC_BUILDS = {
+  vite: 'dist',
+  'react-scripts': 'build',
+};
+
+const ENTRY_FILES = ['server.js', 'index.js', 'app.js', 'main.js'];
+
+/**
+ * Major Node.js version from .nvmrc or package.json engines
+ */
+async function detectNodeVersion(dir, pkg) {
+  const nvmrc = await readText(dir, '.nvmrc');
+  const match = (nvmrc || pkg.engines?.node || '').match(/(\d+)/);
+  return match && parseInt(match[1]) >= 16 ? match[1] : DEFAULT_NODE_VERSION;
+}
+
+/**
+ * Package manager from the lockfile: install command, files the install
+ * layer needs and how scripts are run
+ */
+async function detectPackageManager(dir) {
+  const npmrc = (await fileExists(dir, '.npmrc')) ? ['.npmrc'] : [];
+
+  if (await fileExists(dir, 'pnpm-lock.yaml')) {
+    return {
+      name: 'pnpm',
+      files: ['package.json', 'pnpm-lock.yaml', ...npmrc],
+      setup: 'corepack enable',
+      install: 'pnpm install --frozen-lockfile',
+      run: ['pnpm'],
+    };
+  }
+  if (await fileExists(dir, 'yarn.lock')) {
+    const berry = await fileExists(dir, '.yarnrc.yml');
+    return {
+      name: 'yarn',
+      files: ['package.json', 'yarn.lock', ...(berry ? ['.yarnrc.yml'] : []), ...npmrc],
+      // Yarn 2+ may keep its own release in .yarn/
+      extraCopy: berry && (await fileExists(dir, '.yarn')) ? 'COPY .yarn ./.yarn' : null,
+      setup: 'corepack enable',
+      install: berry ? 'yarn install --immutable' : 'yarn install --frozen-lockfile',
+      run: ['yarn'],
+    };
+  }
+
+  const lockfile = await findFile(dir, ['package-lock.json', 'npm-shrinkwrap.json']);
+  return {
+    name: 'npm',
+    files: ['package.json', ...(lockfile ? [lockfile] : []), ...npmrc],
+    install: lockfile ? 'npm ci' : 'npm install',
+    run: ['npm', 'run'],
+  };
+}
+
+/**
+ * Node.js apps (package.json). Apps are started with the `start` script,
+ * `main` or a common entry file; frontends without a server are built
+ * and served by nginx.
+ */
+module.exports = {
+  name: 'node',
+  label: 'Node.js',
+
+  async detect(dir) {
+    const text = await readText(dir, 'package.json');
+    if (text === null) {
+      return null;
+    }
+    let pkg;
+    try {
+      pkg = JSON.parse(text);
+    } catch (error) {
+      throw buildpackError(`package.json is not valid JSON: ${error.message}`);
+    }
+
+    const scripts = pkg.scripts || {};
+    const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+    const version = await detectNodeVersion(dir, pkg);
+    const pm = await detectPackageManager(dir);
+    const run = (script) => (script === 'start' && pm.name === 'npm' ? ['npm', 'start'] : [...pm.run, script]);
+
+    let start = scripts.start ? run('start') : null;
+    if (!start) {
+      const entry = pkg.main && (await fileExists(dir, pkg.main)) ? pkg.main : await findFile(dir, ENTRY_FILES);
+      start = entry && ['node', entry];
+    }
+
+    const buildStage = [
+      `FROM node:${version}-alpine${start ? '' : ' AS build'}`,
+      'WORKDIR /app',
+      pm.setup && `RUN ${pm.setup}`,
+      `COPY ${pm.files.join(' ')} ./`,
+      pm.extraCopy,
+      `RUN ${pm.install}`,
+      'COPY . .',
+      scripts.build && `RUN ${run('build').join(' ')}`,
+    ];
+
+    if (start) {
+      return {
+        summary: `${pm.name}, node ${version}, ${start.join(' ')}`,
+        dockerfile: toDockerfile([
+          ...buildStage,
+          'ENV NODE_ENV=production',
+          `ENV PORT=${PORT}`,
+          `EXPOSE ${PORT}`,
+          cmd(start),
+        ]),
+      };
+    }
+
+    const tool = Object.keys(STATIC_BUILDS).find(name => dependencies[name]);
+    if (scripts.build && tool) {
+      return {
+        summary: `${pm.name}, node ${version}, ${tool} build served by nginx`,
+        dockerfile: toDockerfile([
+          ...buildStage,
+          '',
+          'FROM nginx:alpine',
+          // Unknown paths fall back to index.html for client-side routing
+          "RUN printf 'server {\\n  listen 80;\\n  root /usr/share/nginx/html;\\n  location / {\\n    try_files $uri $uri/ /index.html;\\n  }\\n}\\n' > /etc/nginx/conf.d/default.conf",
+          `COPY --from=build /app/${STATIC_BUILDS[tool]} /usr/share/nginx/html`,
+          'EXPOSE 80',
+        ]),
+      };
+    }
+
+    throw buildpackError(`Found package.json but no way to start the app: add a "start" script, "main" or one of ${ENTRY_FILES.join(', ')}`);
+  },
+
+  // Also used to build static sites
+  detectNodeVersion,
+  detectPackageManager,
+};
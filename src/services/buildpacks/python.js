@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileExists, readText, findFile, toDockerfile, cmd, buildpackError } = require('./helpers');
+
+const DEFAULT_PYTHON_VERSION = '3.12';
+const PORT = 8000;
+
+const ENTRY_FILES = ['main.py', 'app.py', 'wsgi.py', 'server.py'];
+
+/**
+ * Python minor version from .python-version or runtime.txt
+ */
+async function detectPythonVersion(dir) {
+  const pinned = (await readText(dir, '.python-version')) || (await readText(dir, 'runtime.txt')) || '';
+  const match = pinned.match(/(3\.\d+)/);
+  return match ? match[1] : DEFAULT_PYTHON_VERSION;
+}
+
+/**
+ * Whether a package is listed in requirements.txt or pyproject.toml
+ */
+function hasDependency(requirements, name) {
+  return new RegExp(`(^|["'\\s])${name}\\b`, 'im').test(requirements);
+}
+
+/**
+ * Django project package: the directory holding wsgi.py next to manage.py
+ */
+async function findDjangoProject(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (entry.isDirectory() && (await fileExists(dir, path.join(entry.name, 'wsgi.py')))) {
+      return entry.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Start command and the server packages it needs: a Procfile `web:`
+ * command, Django, FastAPI, Flask or a plain script
+ */
+async function detectStart(dir, requirements) {
+  const procfile = await readText(dir, 'Procfile');
+  const web = procfile && procfile.match(/^web:\s*(.+)$/m);
+  if (web) {
+    return { start: ['sh', '-c', web[1].trim()], summary: 'Procfile' };
+  }
+
+  if (await fileExists(dir, 'manage.py')) {
+    const project = await findDjangoProject(dir);
+    if (project) {
+      return {
+        start: ['gunicorn', '--bind', `0.0.0.0:${PORT}`, `${project}.wsgi:application`],
+        packages: hasDependency(requirements, 'gunicorn') ? [] : ['gunicorn'],
+        summary: 'Django',
+      };
+    }
+  }
+
+  const entry = await findFile(dir, ENTRY_FILES);
+  if (!entry) {
+    return null;
+  }
+  const module = entry.replace(/\.py$/, '');
+
+  if (hasDependency(requirements, 'fastapi')) {
+    return {
+      start: ['uvicorn', `${module}:app`, '--host', '0.0.0.0', '--port', String(PORT)],
+      packages: hasDependency(requirements, 'uvicorn') ? [] : ['uvicorn'],
+      summary: 'FastAPI',
+    };
+  }
+  if (hasDependency(requirements, 'flask')) {
+    return {
+      start: ['gunicorn', '--bind', `0.0.0.0:${PORT}`, `${module}:app`],
+      packages: hasDependency(requirements, 'gunicorn') ? [] : ['gunicorn'],
+      summary: 'Flask',
+    };
+  }
+  return { start: ['python', entry], summary: entry };
+}
+
+/**
+ * Python apps (requirements.txt or pyproject.toml)
+ */
+module.exports = {
+  name: 'python',
+  label: 'Python',
+
+  async detect(dir) {
+    const requirementsTxt = await readText(dir, 'requirements.txt');
+    const pyproject = await readText(dir, 'pyproject.toml');
+    if (requirementsTxt === null && pyproject === null) {
+      return null;
+    }
+
+    const version = await detectPythonVersion(dir);
+    const plan = await detectStart(dir, `${requirementsTxt || ''}\n${pyproject || ''}`);
+    if (!plan) {
+      throw buildpackError(`Found a Python project but no entry point: add a Procfile with a "web:" command or one of ${ENTRY_FILES.join(', ')}`);
+    }
+
+    // requirements.txt installs before the source is copied so the layer
+    // stays cached; pyproject.toml installs the project itself
+    const install = requirementsTxt !== null
+      ? ['COPY requirements.txt ./', 'RUN pip install --no-cache-dir -r requirements.txt', 'COPY . .']
+      : ['COPY . .', 'RUN pip install --no-cache-dir .'];
+
+    return {
+      summary: `python ${version}, ${plan.summary}`,
+      dockerfile: toDockerfile([
+        `FROM python:${version}-slim`,
+        'WORKDIR /app',
+        'ENV PYTHONDONTWRITEBYTECODE=1 PYTHONUNBUFFERED=1',
+        ...install,
+        plan.packages?.length > 0 && `RUN pip install --no-cache-dir ${plan.packages.join(' ')}`,
+        `ENV PORT=${PORT}`,
+        `EXPOSE ${PORT}`,
+        cmd(plan.start),
+      ]),
+    };
+  },
+};
@@ -0,0 +1,24 @@
+const { fileExists, toDockerfile } = require('./helpers');
+
+/**
+ * Plain static sites (index.html in the build context), served by nginx
+ */
+module.exports = {
+  name: 'static',
+  label: 'Static site',
+
+  async detect(dir) {
+    if (!(await fileExists(dir, 'index.html'))) {
+      return null;
+    }
+
+    return {
+      summary: 'served by nginx',
+      dockerfile: toDockerfile([
+        'FROM nginx:alpine',
+        'COPY . /usr/share/nginx/html',
+        'EXPOSE 80',
+      ]),
+    };
+  },
+};
@@ -4,38 +4,83 @@ const logger = require('../utils/logger');
 const { removeNginxConfig } = require('../utils/nginx');
 const { deleteCertificate } = require('../utils/ssl');
 const { deleteDnsRecord } = require('../utils/cloudflare');
+const { removeSite } = require('./staticSites');
 
 const execAsync = promisify(exec);
 
+// Branches served on the base subdomain without a suffix
+const MAIN_BRANCHES = ['main', 'master'];
+
 /**
- * Remove a deployed application
+ * Subdomain of a branch: main and master use the base subdomain, every
+ * other branch (and merge request preview) gets its own suffix, such as
+ * `shop-dev` or `shop-feature-login`
  */
-async function removeDeployment(projectName, branch = 'main') {
-  const containerName = `${projectName.replace(/\s+/g, '-').toLowerCase()}-${branch}`;
-  
-  // Generate subdomain based on branch
-  const baseProjectName = projectName.replace(/\s+/g, '-').toLowerCase();
-  let subdomain = baseProjectName;
-  if (branch === 'dev') {
-    subdomain = `${baseProjectName}-dev`;
-  } else if (branch === 'production') {
-    subdomain = `${baseProjectName}-production`;
+function getBranchSubdomain(baseSubdomain, branch) {
+  if (MAIN_BRANCHES.includes(branch)) {
+    return baseSubdomain;
   }
+  const suffix = branch.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+  // DNS labels are at most 63 characters
+  return `${baseSubdomain}-${suffix}`.slice(0, 63).replace(/-+$/, '');
+}
+
+/**
+ * Remove a deployed application, or one app (`{ name, subdomain }`) of a
+ * monorepo project
+ */
+async function removeDeployment(projectName, branch = 'main', app = null) {
+  const projectSlug = projectName.replace(/\s+/g, '-').toLowerCase();
+  const baseProjectName = app ? `${projectSlug}-${app.name}` : projectSlug;
+  const containerName = `${baseProjectName}-${branch}`;
   
-  const domain = `${subdomain}.${process.env.BASE_DOMAIN || 'example.com'}`;
+  const subdomain = getBranchSubdomain(app?.subdomain || baseProjectName, branch);
+  let domain = `${subdomain}.${process.env.BASE_DOMAIN || 'example.com'}`;
 
   try {
     logger.info(`Removing deployment: ${containerName}`);
 
-    // Stop and remove container
-    await execAsync(`docker stop ${containerName} 2>/dev/null || true`);
-    await execAsync(`docker rm ${containerName} 2>/dev/null || true`);
+    // Containers record their domain, which vellaric.yml may have changed
+    const { stdout: domainLabels } = await execAsync(`docker ps -a --filter "label=vellaric.project=${projectName}" --filter "label=vellaric.branch=${branch}" --format '{{.Label "vellaric.app"}}|{{.Label "vellaric.domain"}}'`);
+    const labelledDomain = domainLabels.trim().split('\n')
+      .map(line => line.split('|'))
+      .find(([appLabel]) => appLabel === (app?.name || ''))?.[1];
+    if (labelledDomain) {
+      domain = labelledDomain;
+    }
+
+    // Static sites record their domain next to their releases
+    const site = await removeSite(containerName);
+    if (site) {
+      domain = site.domain;
+      logger.info(`Static site releases removed: ${containerName}`);
+    }
+
+    // Stop and remove the container, and any candidate or retiring
+    // container an interrupted deploy left behind
+    for (const name of [containerName, `${containerName}-next`, `${containerName}-old`]) {
+      await execAsync(`docker stop ${name} 2>/dev/null || true`);
+      await execAsync(`docker rm ${name} 2>/dev/null || true`);
+    }
     logger.info(`Container removed: ${containerName}`);
 
-    // Remove Docker image
-    const imageName = `${projectName.replace(/\s+/g, '-').toLowerCase()}:${branch}`;
-    await execAsync(`docker rmi ${imageName} 2>/dev/null || true`);
-    logger.info(`Image removed: ${imageName}`);
+    // Tear down the compose stack of multi-service deployments, including
+    // the images it built. Named volumes are kept.
+    const stackName = containerName.toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+    const { stdout: stackContainers } = await execAsync(`docker ps -aq --filter "label=com.docker.compose.project=${stackName}"`);
+    if (stackContainers.trim()) {
+      await execAsync(`docker compose -p ${stackName} down --remove-orphans --rmi local`);
+      logger.info(`Compose stack removed: ${stackName}`);
+    }
+
+    // Remove Docker images (branch tag and commit-tagged releases)
+    const { stdout: imageList } = await execAsync(`docker images ${baseProjectName} --format "{{.Tag}}"`);
+    const tags = imageList.trim().split('\n')
+      .filter(tag => tag === branch || (tag.startsWith(`${branch}-`) && /^[0-9a-f]{12}$/.test(tag.slice(branch.length + 1))));
+    for (const tag of tags) {
+      await execAsync(`docker rmi ${baseProjectName}:${tag} 2>/dev/null || true`);
+      logger.info(`Image removed: ${baseProjectName}:${tag}`);
+    }
 
     // Remove nginx config
     await removeNginxConfig(domain);
@@ -49,7 +94,7 @@ async function removeDeployment(projectName, branch = 'main') {
     // await deleteCertificate(domain);
     // logger.info(`SSL certificate removed for: ${domain}`);
 
-    logger.info(`Deployment removed successfully: ${projectName}`);
+    logger.info(`Deployment removed successfully: ${app ? `${projectName}/${app.name}` : projectName}`);
     return { success: true, message: 'Deployment removed' };
 
   } catch (error) {
@@ -121,6 +166,7 @@ async function cleanupDockerImages() {
 }
 
 module.exports = {
+  getBranchSubdomain,
   removeDeployment,
   listDeployments,
   cleanupDockerImages,
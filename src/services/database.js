@@ -2,7 +2,12 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const logger = require('../utils/logger');
 
-const dbPath = path.join(__dirname, '../../deployments.db');
+// Environment variable names; they end up in docker command lines and
+// build secret file names
+const ENV_KEY_PATTERN = /^[A-Z_][A-Z0-9_]*$/i;
+
+// DATABASE_PATH can point elsewhere, e.g. :memory: for tests
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../deployments.db');
 const db = new sqlite3.Database(dbPath);
 
 // Run migrations after database is initialized
@@ -48,6 +53,20 @@ db.serialize(() => {
   db.run(`ALTER TABLE deployments ADD COLUMN domain TEXT`, () => {});
   db.run(`ALTER TABLE deployments ADD COLUMN port INTEGER`, () => {});
   db.run(`ALTER TABLE deployments ADD COLUMN container_name TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN image_tag TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN container_port INTEGER`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN env_snapshot TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN rollback_of TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN project_id TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN job_data TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN superseded_by TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN manifest TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN preview_key TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN pipeline_id INTEGER`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN pipeline_url TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN failed_stage TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN app_name TEXT`, () => {});
+  db.run(`ALTER TABLE deployments ADD COLUMN release_path TEXT`, () => {});
 
   db.run(`
     CREATE INDEX IF NOT EXISTS idx_deployments_project 
@@ -64,6 +83,52 @@ db.serialize(() => {
     ON deployments(created_at DESC)
   `);
 
+  // Create deployment_logs table (build output of every deployment)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS deployment_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      deployment_id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      level TEXT NOT NULL,
+      message TEXT
+    )
+  `);
+  db.run(`ALTER TABLE deployment_logs ADD COLUMN step TEXT`, () => {});
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_deployment_logs_deployment 
+    ON deployment_logs(deployment_id, id)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_deployment_logs_timestamp 
+    ON deployment_logs(timestamp)
+  `);
+
+  // Create deployment_stages table (timing of each pipeline stage)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS deployment_stages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      deployment_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      error TEXT
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_deployment_stages_deployment 
+    ON deployment_stages(deployment_id, id)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_deployment_stages_started 
+    ON deployment_stages(started_at)
+  `);
+
   // Create databases table
   db.run(`
     CREATE TABLE IF NOT EXISTS databases (
@@ -110,6 +175,13 @@ db.serialize(() => {
     )
   `);
 
+  db.run(`ALTER TABLE projects ADD COLUMN previews_enabled INTEGER DEFAULT 0`, () => {});
+  db.run(`ALTER TABLE projects ADD COLUMN preview_base_branch TEXT`, () => {});
+  db.run(`ALTER TABLE projects ADD COLUMN webhook_secret TEXT`, () => {});
+  db.run(`ALTER TABLE projects ADD COLUMN deploy_on_pipeline INTEGER DEFAULT 0`, () => {});
+  db.run(`ALTER TABLE projects ADD COLUMN project_type TEXT DEFAULT 'container'`, () => {});
+  db.run(`ALTER TABLE projects ADD COLUMN previews_from_forks INTEGER DEFAULT 0`, () => {});
+
   db.run(`
     CREATE INDEX IF NOT EXISTS idx_projects_name 
     ON projects(name)
@@ -130,18 +202,111 @@ db.serialize(() => {
       value TEXT NOT NULL,
       is_secret INTEGER DEFAULT 0,
       description TEXT,
+      app TEXT NOT NULL DEFAULT '',
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(project_id, branch, key),
+      UNIQUE(project_id, branch, key, app),
       FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
     )
   `);
 
+  // Where a variable is used: runtime (container env), build_arg or build_secret
+  db.run(`ALTER TABLE environment_variables ADD COLUMN scope TEXT DEFAULT 'runtime'`, () => {});
+
   db.run(`
     CREATE INDEX IF NOT EXISTS idx_env_vars_project_branch 
     ON environment_variables(project_id, branch)
   `);
 
+  // Create preview_environments table (one per GitLab merge request)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS preview_environments (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      project_name TEXT NOT NULL,
+      mr_iid INTEGER NOT NULL,
+      preview_key TEXT NOT NULL,
+      source_branch TEXT,
+      target_branch TEXT,
+      title TEXT,
+      url TEXT,
+      status TEXT DEFAULT 'active',
+      last_deployment_id TEXT,
+      last_deployed_at TEXT,
+      removed_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(project_id, mr_iid),
+      FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create webhook_deliveries table (every incoming webhook and its outcome)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      event TEXT,
+      headers TEXT,
+      payload TEXT,
+      project_id TEXT,
+      project_name TEXT,
+      authenticated INTEGER DEFAULT 0,
+      decision TEXT NOT NULL,
+      reason TEXT,
+      status_code INTEGER,
+      deployment_ids TEXT,
+      replay_of TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created 
+    ON webhook_deliveries(created_at DESC)
+  `);
+
+  // Create notification_channels table (where deployment events are sent)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT,
+      target TEXT NOT NULL,
+      secret TEXT,
+      events TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      last_status TEXT,
+      last_error TEXT,
+      last_sent_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_notification_channels_project 
+    ON notification_channels(project_id)
+  `);
+
+  // Create project_apps table (services of a monorepo built from one checkout)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS project_apps (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      context TEXT NOT NULL DEFAULT '.',
+      dockerfile TEXT,
+      subdomain TEXT,
+      watch_paths TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(project_id, name),
+      FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
   // Create admin_users table for authentication
   db.run(`
     CREATE TABLE IF NOT EXISTS admin_users (
@@ -162,16 +327,17 @@ db.serialize(() => {
  */
 function logDeployment(deploymentData) {
   return new Promise((resolve, reject) => {
-    const { projectName, projectPath, repoUrl, branch, commit, commitMessage, author, timestamp } = deploymentData;
+    const { projectId, projectName, projectPath, repoUrl, branch, commit, commitMessage, author, timestamp, rollbackOf, previewKey, pipelineId, pipelineUrl, app } = deploymentData;
     
     const id = `deploy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
+    // job_data keeps the full queue payload so pending jobs survive a restart
     db.run(
       `INSERT INTO deployments (
-        id, project_name, project_path, repo_url, branch, commit_hash, 
-        commit_message, author, status, queued_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, projectName, projectPath, repoUrl, branch, commit, commitMessage, author, 'queued', timestamp],
+        id, project_id, project_name, project_path, repo_url, branch, commit_hash, 
+        commit_message, author, status, queued_at, rollback_of, preview_key, pipeline_id, pipeline_url, app_name, job_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, projectId || null, projectName, projectPath, repoUrl, branch, commit, commitMessage, author, 'queued', timestamp, rollbackOf || null, previewKey || null, pipelineId || null, pipelineUrl || null, app?.name || null, JSON.stringify(deploymentData)],
       (err) => {
         if (err) {
           logger.error('Database error:', err);
@@ -229,12 +395,33 @@ function getDeploymentHistory(projectName = null, limit = 50) {
         logger.error('Database query error:', err);
         reject(err);
       } else {
-        resolve(rows);
+        // The environment snapshot holds secret values - keep it server-side
+        resolve(rows.map(({ env_snapshot, job_data, ...row }) => row));
       }
     });
   });
 }
 
+/**
+ * Get deployments with the given status, oldest first
+ */
+function getDeploymentsByStatus(status) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM deployments WHERE status = ? ORDER BY queued_at ASC, created_at ASC',
+      [status],
+      (err, rows) => {
+        if (err) {
+          logger.error('Database query error:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
 /**
  * Get deployment by ID
  */
@@ -256,24 +443,30 @@ function getDeploymentById(deploymentId) {
 }
 
 /**
- * Save environment variable for a project
+ * Save environment variable for a project, or for one of its apps
+ * (`app` is the app name; '' shares the variable with every app)
  */
-function saveEnvironmentVariable(projectId, branch, key, value, isSecret = false, description = '') {
+function saveEnvironmentVariable(projectId, branch, key, value, isSecret = false, description = '', scope = 'runtime', app = '') {
   return new Promise((resolve, reject) => {
+    if (typeof key !== 'string' || !ENV_KEY_PATTERN.test(key)) {
+      reject(new Error(`Invalid environment variable name: ${key}`));
+      return;
+    }
+
     const id = `env_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
     
     db.run(
       `INSERT OR REPLACE INTO environment_variables 
-       (id, project_id, branch, key, value, is_secret, description, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, projectId, branch, key, value, isSecret ? 1 : 0, description, timestamp],
+       (id, project_id, branch, key, value, is_secret, description, scope, app, updated_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, projectId, branch, key, value, isSecret ? 1 : 0, description, scope, app || '', timestamp],
       (err) => {
         if (err) {
           logger.error('Error saving environment variable:', err);
           reject(err);
         } else {
-          resolve({ id, projectId, branch, key, isSecret, description });
+          resolve({ id, projectId, branch, key, isSecret, description, scope, app: app || '' });
         }
       }
     );
@@ -354,14 +547,18 @@ function deleteEnvironmentVariable(id) {
 }
 
 /**
- * Get environment variables as key-value object (by project ID or name)
+ * Get environment variables of one scope as key-value object (by project ID or name).
+ * For an app, its own variables override the ones shared by all apps.
  */
-async function getEnvironmentVariablesAsObject(projectIdentifier, branch) {
+async function getEnvironmentVariablesAsObject(projectIdentifier, branch, scope = 'runtime', app = '') {
   const vars = await getEnvironmentVariables(projectIdentifier, branch);
   const envObj = {};
-  vars.forEach(v => {
-    envObj[v.key] = v.value;
-  });
+  vars
+    .filter(v => (v.scope || 'runtime') === scope && (!v.app || v.app === app))
+    .sort((a, b) => (a.app ? 1 : 0) - (b.app ? 1 : 0))
+    .forEach(v => {
+      envObj[v.key] = v.value;
+    });
   return envObj;
 }
 
@@ -370,14 +567,14 @@ async function getEnvironmentVariablesAsObject(projectIdentifier, branch) {
  */
 function createProject(projectData) {
   return new Promise((resolve, reject) => {
-    const { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId } = projectData;
+    const { name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, gitlabProjectId, previewsEnabled, previewBaseBranch, previewsFromForks, webhookSecret, deployOnPipeline, projectType } = projectData;
     const id = `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
     
     db.run(
       `INSERT INTO projects 
-       (id, name, repo_url, gitlab_project_id, default_branch, enabled_branches, auto_deploy, description, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (id, name, repo_url, gitlab_project_id, default_branch, enabled_branches, auto_deploy, description, previews_enabled, preview_base_branch, previews_from_forks, webhook_secret, deploy_on_pipeline, project_type, updated_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id, 
         name, 
@@ -387,6 +584,12 @@ function createProject(projectData) {
         enabledBranches || 'production,master,dev',
         autoDeploy ? 1 : 0,
         description || '',
+        previewsEnabled ? 1 : 0,
+        previewBaseBranch || null,
+        previewsFromForks ? 1 : 0,
+        webhookSecret || null,
+        deployOnPipeline ? 1 : 0,
+        projectType || 'container',
         timestamp
       ],
       (err) => {
@@ -394,7 +597,7 @@ function createProject(projectData) {
           logger.error('Error creating project:', err);
           reject(err);
         } else {
-          resolve({ id, name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description });
+          resolve({ id, name, repoUrl, defaultBranch, enabledBranches, autoDeploy, description, previewsEnabled, previewBaseBranch, previewsFromForks, webhookSecret, deployOnPipeline, projectType: projectType || 'container' });
         }
       }
     );
@@ -506,6 +709,686 @@ function deleteProject(id) {
   });
 }
 
+/**
+ * Record a merge request preview deployment (creates or reactivates it)
+ */
+function savePreviewEnvironment(previewData) {
+  return new Promise((resolve, reject) => {
+    const { projectId, projectName, mrIid, previewKey, sourceBranch, targetBranch, title, url, deploymentId } = previewData;
+    const id = `preview_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    db.run(
+      `INSERT INTO preview_environments
+       (id, project_id, project_name, mr_iid, preview_key, source_branch, target_branch, title, url, status, last_deployment_id, last_deployed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)
+       ON CONFLICT(project_id, mr_iid) DO UPDATE SET
+         source_branch = excluded.source_branch,
+         target_branch = excluded.target_branch,
+         title = excluded.title,
+         url = excluded.url,
+         status = 'active',
+         last_deployment_id = excluded.last_deployment_id,
+         last_deployed_at = excluded.last_deployed_at,
+         removed_at = NULL`,
+      [id, projectId, projectName, mrIid, previewKey, sourceBranch, targetBranch, title, url, deploymentId, timestamp],
+      (err) => {
+        if (err) {
+          logger.error('Error saving preview environment:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Mark a merge request preview as removed
+ */
+function markPreviewEnvironmentRemoved(projectId, mrIid) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE preview_environments SET status = 'removed', removed_at = ? WHERE project_id = ? AND mr_iid = ?`,
+      [new Date().toISOString(), projectId, mrIid],
+      (err) => {
+        if (err) {
+          logger.error('Error updating preview environment:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get active previews that have not been deployed since the cutoff
+ */
+function getStalePreviewEnvironments(cutoff) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM preview_environments WHERE status = 'active' AND last_deployed_at < ? ORDER BY last_deployed_at ASC`,
+      [cutoff],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching preview environments:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record an incoming webhook and what was done with it
+ */
+function saveWebhookDelivery(delivery) {
+  return new Promise((resolve, reject) => {
+    const { provider, event, headers, payload, projectId, projectName, authenticated, decision, reason, statusCode, deploymentIds, replayOf } = delivery;
+    const id = `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    db.run(
+      `INSERT INTO webhook_deliveries
+       (id, provider, event, headers, payload, project_id, project_name, authenticated, decision, reason, status_code, deployment_ids, replay_of, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        provider,
+        event || null,
+        JSON.stringify(headers || {}),
+        JSON.stringify(payload ?? null),
+        projectId || null,
+        projectName || null,
+        authenticated ? 1 : 0,
+        decision,
+        reason || null,
+        statusCode,
+        (deploymentIds || []).join(',') || null,
+        replayOf || null,
+        timestamp,
+      ],
+      (err) => {
+        if (err) {
+          logger.error('Error saving webhook delivery:', err);
+          reject(err);
+        } else {
+          resolve(id);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get recent webhook deliveries (without headers and payloads)
+ */
+function getWebhookDeliveries({ projectId = null, decision = null, limit = 50, offset = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+    if (projectId) {
+      conditions.push('project_id = ?');
+      params.push(projectId);
+    }
+    if (decision) {
+      conditions.push('decision = ?');
+      params.push(decision);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    db.all(
+      `SELECT id, provider, event, project_id, project_name, authenticated, decision, reason, status_code, deployment_ids, replay_of, created_at
+       FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching webhook deliveries:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a webhook delivery including its headers and payload
+ */
+function getWebhookDeliveryById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM webhook_deliveries WHERE id = ?',
+      [id],
+      (err, row) => {
+        if (err) {
+          logger.error('Error fetching webhook delivery:', err);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete all but the most recent webhook deliveries
+ */
+function pruneWebhookDeliveries(keep) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM webhook_deliveries WHERE id NOT IN (
+         SELECT id FROM webhook_deliveries ORDER BY created_at DESC LIMIT ?
+       )`,
+      [keep],
+      function (err) {
+        if (err) {
+          logger.error('Error pruning webhook deliveries:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Store a batch of deployment log lines
+ */
+function insertDeploymentLogs(entries) {
+  return new Promise((resolve, reject) => {
+    if (entries.length === 0) {
+      return resolve();
+    }
+    const placeholders = entries.map(() => '(?, ?, ?, ?, ?)').join(', ');
+    const values = entries.flatMap(entry => [entry.deploymentId, entry.timestamp, entry.level, entry.message, entry.step || null]);
+
+    db.run(
+      `INSERT INTO deployment_logs (deployment_id, timestamp, level, message, step) VALUES ${placeholders}`,
+      values,
+      (err) => {
+        if (err) {
+          logger.error('Error saving deployment logs:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a page of the log lines of a deployment, oldest first
+ */
+function getDeploymentLogEntries(deploymentId, { limit = 1000, offset = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT timestamp, level, message, step FROM deployment_logs
+       WHERE deployment_id = ? ORDER BY id ASC LIMIT ? OFFSET ?`,
+      [deploymentId, limit, offset],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching deployment logs:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Count the log lines of a deployment
+ */
+function countDeploymentLogs(deploymentId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT COUNT(*) AS count FROM deployment_logs WHERE deployment_id = ?',
+      [deploymentId],
+      (err, row) => {
+        if (err) {
+          logger.error('Error counting deployment logs:', err);
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Call `onRow` for every log line of a deployment without loading them all
+ */
+function eachDeploymentLog(deploymentId, onRow) {
+  return new Promise((resolve, reject) => {
+    db.each(
+      'SELECT timestamp, level, message, step FROM deployment_logs WHERE deployment_id = ? ORDER BY id ASC',
+      [deploymentId],
+      (err, row) => {
+        if (!err) {
+          onRow(row);
+        }
+      },
+      (err, count) => {
+        if (err) {
+          logger.error('Error reading deployment logs:', err);
+          reject(err);
+        } else {
+          resolve(count);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete the log lines of one deployment
+ */
+function deleteDeploymentLogs(deploymentId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM deployment_logs WHERE deployment_id = ?',
+      [deploymentId],
+      (err) => {
+        if (err) {
+          logger.error('Error deleting deployment logs:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete log lines written before `cutoff` (ISO timestamp)
+ */
+function pruneDeploymentLogs(cutoff) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM deployment_logs WHERE timestamp < ?',
+      [cutoff],
+      function (err) {
+        if (err) {
+          logger.error('Error pruning deployment logs:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record the start of a deployment stage
+ */
+function startDeploymentStage(deploymentId, name, startedAt) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO deployment_stages (deployment_id, name, status, started_at) VALUES (?, ?, 'running', ?)`,
+      [deploymentId, name, startedAt],
+      function (err) {
+        if (err) {
+          logger.error('Error saving deployment stage:', err);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record how a deployment stage ended
+ */
+function finishDeploymentStage(id, { status, finishedAt, durationMs, error = null }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE deployment_stages SET status = ?, finished_at = ?, duration_ms = ?, error = ? WHERE id = ?`,
+      [status, finishedAt, durationMs, error, id],
+      (err) => {
+        if (err) {
+          logger.error('Error updating deployment stage:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Mark stages still running when the server stopped as interrupted
+ */
+function interruptDeploymentStages(deploymentId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE deployment_stages SET status = 'interrupted' WHERE deployment_id = ? AND status = 'running'`,
+      [deploymentId],
+      (err) => {
+        if (err) {
+          logger.error('Error updating deployment stages:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the stages of a deployment in the order they ran
+ */
+function getDeploymentStages(deploymentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT name, status, started_at, finished_at, duration_ms, error
+       FROM deployment_stages WHERE deployment_id = ? ORDER BY id ASC`,
+      [deploymentId],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching deployment stages:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Daily duration of successful stages since `since`, optionally for one project
+ */
+function getDeploymentStageStats({ projectName = null, since }) {
+  return new Promise((resolve, reject) => {
+    const params = [since];
+    let projectFilter = '';
+    if (projectName) {
+      projectFilter = 'AND d.project_name = ?';
+      params.push(projectName);
+    }
+
+    db.all(
+      `SELECT s.name, date(s.started_at) AS day, COUNT(*) AS count,
+              CAST(AVG(s.duration_ms) AS INTEGER) AS avg_ms, MAX(s.duration_ms) AS max_ms
+       FROM deployment_stages s JOIN deployments d ON d.id = s.deployment_id
+       WHERE s.status = 'success' AND s.started_at >= ? ${projectFilter}
+       GROUP BY s.name, day ORDER BY day ASC, s.name ASC`,
+      params,
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching deployment stage stats:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add a notification channel to a project
+ */
+function createNotificationChannel(channelData) {
+  return new Promise((resolve, reject) => {
+    const { projectId, type, name, target, secret, events, enabled = true } = channelData;
+    const id = `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    db.run(
+      `INSERT INTO notification_channels
+       (id, project_id, type, name, target, secret, events, enabled, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, projectId, type, name || null, target, secret || null, events, enabled ? 1 : 0, timestamp, timestamp],
+      (err) => {
+        if (err) {
+          logger.error('Error creating notification channel:', err);
+          reject(err);
+        } else {
+          resolve(id);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the notification channels of a project
+ */
+function getNotificationChannels(projectId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM notification_channels WHERE project_id = ? ORDER BY created_at ASC',
+      [projectId],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching notification channels:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get notification channel by ID
+ */
+function getNotificationChannelById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM notification_channels WHERE id = ?',
+      [id],
+      (err, row) => {
+        if (err) {
+          logger.error('Error fetching notification channel:', err);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Update notification channel
+ */
+function updateNotificationChannel(id, updates) {
+  return new Promise((resolve, reject) => {
+    const timestamp = new Date().toISOString();
+    const updatesWithTimestamp = { ...updates, updated_at: timestamp };
+    const fields = Object.keys(updatesWithTimestamp).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updatesWithTimestamp);
+
+    db.run(
+      `UPDATE notification_channels SET ${fields} WHERE id = ?`,
+      [...values, id],
+      (err) => {
+        if (err) {
+          logger.error('Error updating notification channel:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record the outcome of the last notification sent to a channel
+ */
+function recordNotificationResult(id, error = null) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE notification_channels SET last_status = ?, last_error = ?, last_sent_at = ? WHERE id = ?`,
+      [error ? 'failed' : 'sent', error ? error.message : null, new Date().toISOString(), id],
+      (err) => {
+        if (err) {
+          logger.error('Error recording notification result:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete notification channel
+ */
+function deleteNotificationChannel(id) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM notification_channels WHERE id = ?',
+      [id],
+      (err) => {
+        if (err) {
+          logger.error('Error deleting notification channel:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add an app to a project
+ */
+function createProjectApp(appData) {
+  return new Promise((resolve, reject) => {
+    const { projectId, name, context, dockerfile, subdomain, watchPaths } = appData;
+    const id = `app_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    db.run(
+      `INSERT INTO project_apps
+       (id, project_id, name, context, dockerfile, subdomain, watch_paths, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, projectId, name, context || '.', dockerfile || null, subdomain || null, watchPaths || null, timestamp, timestamp],
+      (err) => {
+        if (err) {
+          logger.error('Error creating project app:', err);
+          reject(err);
+        } else {
+          resolve(id);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the apps of a project
+ */
+function getProjectApps(projectId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM project_apps WHERE project_id = ? ORDER BY name ASC',
+      [projectId],
+      (err, rows) => {
+        if (err) {
+          logger.error('Error fetching project apps:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get project app by ID
+ */
+function getProjectAppById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM project_apps WHERE id = ?',
+      [id],
+      (err, row) => {
+        if (err) {
+          logger.error('Error fetching project app:', err);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Update project app
+ */
+function updateProjectApp(id, updates) {
+  return new Promise((resolve, reject) => {
+    const timestamp = new Date().toISOString();
+    const updatesWithTimestamp = { ...updates, updated_at: timestamp };
+    const fields = Object.keys(updatesWithTimestamp).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updatesWithTimestamp);
+
+    db.run(
+      `UPDATE project_apps SET ${fields} WHERE id = ?`,
+      [...values, id],
+      (err) => {
+        if (err) {
+          logger.error('Error updating project app:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete project app together with its environment variables
+ */
+function deleteProjectApp(app) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('DELETE FROM environment_variables WHERE project_id = ? AND app = ?', [app.project_id, app.name]);
+      db.run(
+        'DELETE FROM project_apps WHERE id = ?',
+        [app.id],
+        (err) => {
+          if (err) {
+            logger.error('Error deleting project app:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  });
+}
+
 /**
  * Get admin user by username
  */
@@ -569,9 +1452,11 @@ function updateAdminPassword(username, passwordHash) {
 }
 
 module.exports = {
+  ENV_KEY_PATTERN,
   logDeployment,
   updateDeploymentStatus,
   getDeploymentHistory,
+  getDeploymentsByStatus,
   getDeploymentById,
   saveEnvironmentVariable,
   getEnvironmentVariables,
@@ -585,6 +1470,35 @@ module.exports = {
   updateProject,
   deleteProject,
   getAllProjects,
+  savePreviewEnvironment,
+  markPreviewEnvironmentRemoved,
+  getStalePreviewEnvironments,
+  saveWebhookDelivery,
+  getWebhookDeliveries,
+  getWebhookDeliveryById,
+  pruneWebhookDeliveries,
+  insertDeploymentLogs,
+  getDeploymentLogEntries,
+  countDeploymentLogs,
+  eachDeploymentLog,
+  deleteDeploymentLogs,
+  pruneDeploymentLogs,
+  startDeploymentStage,
+  finishDeploymentStage,
+  interruptDeploymentStages,
+  getDeploymentStages,
+  getDeploymentStageStats,
+  createNotificationChannel,
+  getNotificationChannels,
+  getNotificationChannelById,
+  updateNotificationChannel,
+  recordNotificationResult,
+  deleteNotificationChannel,
+  createProjectApp,
+  getProjectApps,
+  getProjectAppById,
+  updateProjectApp,
+  deleteProjectApp,
   getAdminUser,
   createAdminUser,
   updateAdminPassword,
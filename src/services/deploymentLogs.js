@@ -1,37 +1,49 @@
 /**
- * In-memory deployment logs storage
- * Stores logs for active and recent deployments
+ * Deployment logs storage
+ * Log lines are streamed to the dashboard as they happen and written to
+ * the deployment_logs table in small batches. Lines older than
+ * KEEP_DEPLOYMENT_LOGS_DAYS are removed.
  */
 
-const MAX_LOGS_PER_DEPLOYMENT = 500;
-const LOG_RETENTION_MS = 30 * 60 * 1000; // 30 minutes
+const logger = require('../utils/logger');
+const {
+  insertDeploymentLogs,
+  getDeploymentLogEntries,
+  countDeploymentLogs,
+  eachDeploymentLog,
+  deleteDeploymentLogs,
+  pruneDeploymentLogs,
+} = require('./database');
+
+const FLUSH_INTERVAL_MS = 250;
+const MAX_BATCH_SIZE = 150;
+const DEFAULT_RETENTION_DAYS = 30;
 
 class DeploymentLogs {
   constructor() {
-    this.logs = new Map(); // deploymentId -> array of log entries
+    this.pending = []; // lines not yet written to the database
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
     this.startCleanupInterval();
   }
 
   /**
-   * Add a log entry for a deployment
+   * Add a log entry for a deployment. `step` names the command that
+   * produced the line (e.g. "docker build").
    */
-  addLog(deploymentId, level, message) {
-    if (!this.logs.has(deploymentId)) {
-      this.logs.set(deploymentId, []);
-    }
-
+  addLog(deploymentId, level, message, step = null) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       level,
       message,
+      step,
     };
 
-    const logs = this.logs.get(deploymentId);
-    logs.push(logEntry);
-
-    // Keep only last MAX_LOGS_PER_DEPLOYMENT entries
-    if (logs.length > MAX_LOGS_PER_DEPLOYMENT) {
-      logs.shift();
+    this.pending.push({ deploymentId, ...logEntry });
+    if (this.pending.length >= MAX_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
     }
 
     // Emit real-time log update via Socket.IO
@@ -44,53 +56,108 @@ class DeploymentLogs {
   }
 
   /**
-   * Get logs for a deployment
+   * Write buffered lines to the database. Batches are written one after
+   * another so lines keep their order.
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const batch = this.pending.splice(0, this.pending.length);
+    if (batch.length === 0) {
+      return this.writing;
+    }
+
+    this.writing = this.writing
+      .then(async () => {
+        for (let i = 0; i < batch.length; i += MAX_BATCH_SIZE) {
+          await insertDeploymentLogs(batch.slice(i, i + MAX_BATCH_SIZE));
+        }
+      })
+      .catch((error) => {
+        logger.error(`Error writing ${batch.length} deployment log lines:`, error);
+      });
+    return this.writing;
+  }
+
+  /**
+   * Get a page of the logs of a deployment and the total number of lines
    */
-  getLogs(deploymentId) {
-    return this.logs.get(deploymentId) || [];
+  async getLogs(deploymentId, { limit = 1000, offset = 0 } = {}) {
+    await this.flush();
+    const [logs, total] = await Promise.all([
+      getDeploymentLogEntries(deploymentId, { limit, offset }),
+      countDeploymentLogs(deploymentId),
+    ]);
+    return { logs, total };
+  }
+
+  /**
+   * Call `onLine` for every log line of a deployment
+   */
+  async eachLog(deploymentId, onLine) {
+    await this.flush();
+    return eachDeploymentLog(deploymentId, onLine);
   }
 
   /**
    * Clear logs for a deployment
    */
-  clearLogs(deploymentId) {
-    this.logs.delete(deploymentId);
+  async clearLogs(deploymentId) {
+    await this.flush();
+    await deleteDeploymentLogs(deploymentId);
   }
 
   /**
-   * Get all active deployment IDs with logs
+   * Remove lines older than KEEP_DEPLOYMENT_LOGS_DAYS (0 keeps them forever)
    */
-  getActiveDeployments() {
-    return Array.from(this.logs.keys());
+  async pruneOldLogs() {
+    const setting = process.env.KEEP_DEPLOYMENT_LOGS_DAYS;
+    const days = setting === undefined || setting === '' ? DEFAULT_RETENTION_DAYS : parseFloat(setting);
+    if (!(days > 0)) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const removed = await pruneDeploymentLogs(cutoff);
+    if (removed > 0) {
+      logger.info(`Removed ${removed} deployment log lines older than ${days} days`);
+    }
+    return removed;
   }
 
   /**
    * Cleanup old logs periodically
    */
   startCleanupInterval() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [deploymentId, logs] of this.logs.entries()) {
-        if (logs.length === 0) continue;
-        
-        const lastLog = logs[logs.length - 1];
-        const lastLogTime = new Date(lastLog.timestamp).getTime();
-        
-        // Remove logs older than retention period
-        if (now - lastLogTime > LOG_RETENTION_MS) {
-          this.logs.delete(deploymentId);
-        }
-      }
-    }, 5 * 60 * 1000); // Run every 5 minutes
+    const prune = () => this.pruneOldLogs().catch((error) => {
+      logger.error('Error pruning deployment logs:', error);
+    });
+
+    prune();
+    // Run every hour; housekeeping alone does not keep the process alive
+    setInterval(prune, 60 * 60 * 1000).unref();
   }
 }
 
+/**
+ * Link to the logs of a deployment in the dashboard (needs DASHBOARD_URL)
+ */
+function getDeploymentLogUrl(deploymentId) {
+  const dashboardUrl = process.env.DASHBOARD_URL;
+  return dashboardUrl
+    ? `${dashboardUrl.replace(/\/$/, '')}/deployments?deployment=${encodeURIComponent(deploymentId)}`
+    : undefined;
+}
+
 // Singleton instance
 const deploymentLogs = new DeploymentLogs();
 
 module.exports = {
-  addDeploymentLog: (id, level, msg) => deploymentLogs.addLog(id, level, msg),
-  getDeploymentLogs: (id) => deploymentLogs.getLogs(id),
+  addDeploymentLog: (id, level, msg, step) => deploymentLogs.addLog(id, level, msg, step),
+  getDeploymentLogs: (id, options) => deploymentLogs.getLogs(id, options),
+  eachDeploymentLog: (id, onLine) => deploymentLogs.eachLog(id, onLine),
   clearDeploymentLogs: (id) => deploymentLogs.clearLogs(id),
-  getActiveDeployments: () => deploymentLogs.getActiveDeployments(),
+  flushDeploymentLogs: () => deploymentLogs.flush(),
+  getDeploymentLogUrl,
 };
@@ -0,0 +1,130 @@
+/**
+ * Deployment stages
+ * A deployment runs as a sequence of named stages (checkout, build, health
+ * check, ...). Each stage is stored with its status, start and end time so
+ * the dashboard can show a timeline and slow stages can be found later.
+ */
+
+const logger = require('../utils/logger');
+const { addDeploymentLog } = require('./deploymentLogs');
+const { startDeploymentStage, finishDeploymentStage } = require('./database');
+
+const STAGE_LABELS = {
+  cleanup: 'Cleanup',
+  checkout: 'Checkout',
+  release: 'Load release',
+  build: 'Build',
+  publish: 'Publish',
+  environment: 'Environment',
+  pre_deploy: 'Pre-deploy',
+  start: 'Start',
+  health: 'Health check',
+  dns: 'DNS',
+  nginx: 'Nginx',
+  retire: 'Retire previous',
+  ssl: 'SSL',
+  post_deploy: 'Post-deploy',
+};
+
+// How a finished stage reads in the deployment log
+const STAGE_OUTCOMES = {
+  success: 'finished in',
+  warning: 'finished with warnings in',
+  failed: 'failed after',
+  cancelled: 'cancelled after',
+};
+
+function getStageLabel(name) {
+  return STAGE_LABELS[name] || name;
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+class DeploymentStages {
+  /**
+   * `isCancelled` tells whether a stage error was caused by cancelling the
+   * deployment, so the stage is recorded as cancelled instead of failed.
+   */
+  constructor(deploymentId, { isCancelled = () => false } = {}) {
+    this.deploymentId = deploymentId;
+    this.isCancelled = isCancelled;
+  }
+
+  /**
+   * Run `fn` as the stage `name`. Errors are tagged with the stage
+   * (`error.stage`) and rethrown. `fn` receives the stage and can call
+   * `stage.warn(message)` for problems that should not fail the deployment.
+   */
+  async run(name, fn) {
+    const stage = {
+      name,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      error: null,
+      warn: (message) => {
+        stage.status = 'warning';
+        stage.error = message;
+      },
+    };
+    const start = Date.now();
+    const rowId = await startDeploymentStage(this.deploymentId, name, stage.started_at)
+      .catch(() => null);
+    this.emit(stage);
+
+    try {
+      const result = await fn(stage);
+      if (stage.status === 'running') {
+        stage.status = 'success';
+      }
+      return result;
+    } catch (error) {
+      if (!error.stage) {
+        error.stage = name;
+      }
+      stage.status = this.isCancelled() ? 'cancelled' : 'failed';
+      stage.error = error.message;
+      throw error;
+    } finally {
+      stage.finished_at = new Date().toISOString();
+      stage.duration_ms = Date.now() - start;
+      addDeploymentLog(
+        this.deploymentId,
+        stage.status === 'success' ? 'info' : 'warn',
+        `⏱️  ${getStageLabel(name)} ${STAGE_OUTCOMES[stage.status]} ${formatDuration(stage.duration_ms)}`
+      );
+      this.emit(stage);
+      if (rowId) {
+        await finishDeploymentStage(rowId, {
+          status: stage.status,
+          finishedAt: stage.finished_at,
+          durationMs: stage.duration_ms,
+          error: stage.error,
+        }).catch((error) => {
+          logger.error(`Error saving stage ${name} of ${this.deploymentId}:`, error);
+        });
+      }
+    }
+  }
+
+  emit(stage) {
+    if (global.io) {
+      const { warn, ...data } = stage;
+      global.io.emit('deployment:stage', { deploymentId: this.deploymentId, stage: data });
+    }
+  }
+}
+
+module.exports = {
+  STAGE_LABELS,
+  getStageLabel,
+  formatDuration,
+  DeploymentStages,
+};
@@ -0,0 +1,76 @@
+/**
+ * Report deployments back to GitLab
+ *
+ * Projects with a `gitlab_project_id` get a commit status per deployment
+ * (pending → running → success/failed/canceled) and a GitLab environment
+ * pointing at the deployed domain. Reporting never fails a deployment.
+ */
+
+const logger = require('../utils/logger');
+const { setCommitStatus, upsertEnvironment } = require('../utils/gitlab');
+const { getProjectById } = require('./database');
+const { addDeploymentLog, getDeploymentLogUrl } = require('./deploymentLogs');
+
+const DESCRIPTIONS = {
+  pending: 'Deployment queued',
+  running: 'Deploying',
+  success: 'Deployed',
+  failed: 'Deployment failed',
+  canceled: 'Deployment cancelled',
+};
+
+/**
+ * GitLab environment name of a deployment (review apps for previews,
+ * one environment per app of a monorepo)
+ */
+function getGitLabEnvironmentName(deployment) {
+  const environment = deployment.previewKey ? `review/${deployment.previewKey}` : deployment.branch;
+  return deployment.app ? `${environment}/${deployment.app.name}` : environment;
+}
+
+/**
+ * Post the state of a deployment as a commit status, and point the GitLab
+ * environment at the domain once it succeeded
+ */
+async function reportDeploymentStatus(deployment, state, { domain, description } = {}) {
+  if (!process.env.GITLAB_ACCESS_TOKEN || !deployment.projectId) {
+    return;
+  }
+
+  // Only commits that were resolved to a SHA can carry a status
+  const sha = deployment.commitSha || deployment.commit;
+  if (!/^[0-9a-f]{40}$/i.test(sha || '')) {
+    return;
+  }
+
+  try {
+    const project = await getProjectById(deployment.projectId);
+    if (!project?.gitlab_project_id) {
+      return;
+    }
+
+    const environment = getGitLabEnvironmentName(deployment);
+    const environmentUrl = domain ? `https://${domain}` : undefined;
+
+    await setCommitStatus(project.gitlab_project_id, sha, {
+      state,
+      name: `vellaric/${environment}`,
+      ref: deployment.branch,
+      targetUrl: getDeploymentLogUrl(deployment.id),
+      description: description || (domain ? `${DESCRIPTIONS[state]} to ${domain}` : DESCRIPTIONS[state]),
+      environmentUrl,
+    });
+
+    if (state === 'success' && environmentUrl) {
+      await upsertEnvironment(project.gitlab_project_id, environment, environmentUrl);
+    }
+  } catch (error) {
+    logger.warn(`Could not report deployment ${deployment.id} to GitLab: ${error.message}`);
+    addDeploymentLog(deployment.id, 'warn', `⚠️  Could not report status to GitLab: ${error.message}`);
+  }
+}
+
+module.exports = {
+  reportDeploymentStatus,
+  getGitLabEnvironmentName,
+};
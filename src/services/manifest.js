@@ -0,0 +1,487 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Optional per-repository deploy settings (vellaric.yml)
+ *
+ * Example:
+ *
+ *   dockerfile: docker/Dockerfile
+ *   context: .
+ *   buildkit: true      # build with BuildKit (RUN --mount=type=cache)
+ *   port: 8080
+ *   healthcheck:
+ *     path: /healthz
+ *     expected_status: 200
+ *     timeout: 5          # seconds per request
+ *     interval: 1         # seconds between requests
+ *     successes: 3        # consecutive passes required
+ *     max_wait: 60        # seconds before the deploy fails
+ *   resources:
+ *     memory: 512m
+ *     cpus: 0.5
+ *   volumes:
+ *     - uploads:/app/uploads
+ *   domains:
+ *     production: app.example.com
+ *     dev: dev.app.example.com
+ *   pre_deploy:
+ *     - npm run migrate
+ *   post_deploy:
+ *     - node scripts/warm-cache.js
+ *
+ * Multi-service repositories (compose.yaml / docker-compose.yml):
+ *
+ *   compose: docker/compose.prod.yml   # or false to ignore compose files
+ *   service: api                       # service nginx routes to
+ *
+ * Static sites (projects of type "static"):
+ *
+ *   static:
+ *     image: node:20-alpine      # build container image
+ *     build: npm ci && npm run build
+ *     output: dist               # directory served by nginx
+ *     spa: true                  # unknown paths serve index.html
+ */
+
+const MANIFEST_FILES = ['vellaric.yml', 'vellaric.yaml'];
+
+const TOP_LEVEL_KEYS = [
+  'dockerfile',
+  'context',
+  'buildkit',
+  'port',
+  'healthcheck',
+  'resources',
+  'volumes',
+  'domains',
+  'pre_deploy',
+  'post_deploy',
+  'compose',
+  'service',
+  'static',
+];
+
+const REPO_PATH_PATTERN = /^[\w./-]+$/;
+const MEMORY_PATTERN = /^\d+(\.\d+)?[bkmg]?$/i;
+const VOLUME_PATTERN = /^([a-zA-Z0-9][a-zA-Z0-9_.-]*):(\/[A-Za-z0-9_./-]*)(?::(ro|rw))?$/;
+const SERVICE_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const VOLUME_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const IMAGE_PATTERN = /^[a-z0-9][\w./:@-]*$/i;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)+$/i;
+
+/**
+ * Settings used when a repository has no manifest
+ */
+function defaultManifest() {
+  return {
+    dockerfile: 'Dockerfile',
+    context: '.',
+    buildkit: false,
+    port: null,
+    healthcheck: {
+      path: null,
+      expectedStatus: null,
+      timeout: null,
+      interval: null,
+      successes: null,
+      maxWait: null,
+    },
+    resources: { memory: null, cpus: null },
+    volumes: [],
+    domains: {},
+    preDeploy: [],
+    postDeploy: [],
+    compose: null,
+    service: null,
+    static: { image: null, build: null, output: null, spa: true },
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkKeys(value, allowed, prefix, errors) {
+  Object.keys(value)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${prefix}${key}: unknown setting`));
+}
+
+function validateRepoPath(value, key, errors) {
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${key}: must be a non-empty string`);
+    return null;
+  }
+  const normalized = path.posix.normalize(value.trim());
+  if (!REPO_PATH_PATTERN.test(normalized) || path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+    errors.push(`${key}: must be a relative path inside the repository`);
+    return null;
+  }
+  return normalized;
+}
+
+function validateCommands(value, key, errors) {
+  const commands = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(commands) || commands.some(cmd => typeof cmd !== 'string' || !cmd.trim())) {
+    errors.push(`${key}: must be a command or a list of commands`);
+    return [];
+  }
+  return commands.map(cmd => cmd.trim());
+}
+
+/**
+ * Validate a parsed manifest. Returns the normalized settings and a list
+ * of human readable errors.
+ */
+function validateManifest(raw) {
+  const manifest = defaultManifest();
+  const errors = [];
+
+  if (raw === null || raw === undefined) {
+    return { manifest, errors };
+  }
+  if (!isPlainObject(raw)) {
+    return { manifest, errors: ['manifest must be a mapping of settings'] };
+  }
+
+  checkKeys(raw, TOP_LEVEL_KEYS, '', errors);
+
+  if (raw.dockerfile !== undefined) {
+    manifest.dockerfile = validateRepoPath(raw.dockerfile, 'dockerfile', errors) || manifest.dockerfile;
+  }
+  if (raw.context !== undefined) {
+    manifest.context = validateRepoPath(raw.context, 'context', errors) || manifest.context;
+  }
+
+  if (raw.buildkit !== undefined) {
+    if (typeof raw.buildkit !== 'boolean') {
+      errors.push('buildkit: must be true or false');
+    } else {
+      manifest.buildkit = raw.buildkit;
+    }
+  }
+
+  if (raw.port !== undefined) {
+    if (!Number.isInteger(raw.port) || raw.port < 1 || raw.port > 65535) {
+      errors.push('port: must be an integer between 1 and 65535');
+    } else {
+      manifest.port = raw.port;
+    }
+  }
+
+  if (raw.healthcheck !== undefined) {
+    if (!isPlainObject(raw.healthcheck)) {
+      errors.push('healthcheck: must be a mapping');
+    } else {
+      checkKeys(raw.healthcheck, ['path', 'expected_status', 'timeout', 'interval', 'successes', 'max_wait'], 'healthcheck.', errors);
+      const { path: checkPath, expected_status: expectedStatus, timeout, interval, successes, max_wait: maxWait } = raw.healthcheck;
+      if (checkPath !== undefined) {
+        if (typeof checkPath !== 'string' || !/^\/\S*$/.test(checkPath)) {
+          errors.push('healthcheck.path: must be a URL path starting with /');
+        } else {
+          manifest.healthcheck.path = checkPath;
+        }
+      }
+      if (expectedStatus !== undefined) {
+        const statuses = Array.isArray(expectedStatus) ? expectedStatus : [expectedStatus];
+        if (statuses.length === 0 || statuses.some(status => !Number.isInteger(status) || status < 100 || status > 599)) {
+          errors.push('healthcheck.expected_status: must be an HTTP status code or a list of them');
+        } else {
+          manifest.healthcheck.expectedStatus = statuses;
+        }
+      }
+      [['timeout', timeout], ['interval', interval]].forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (typeof value !== 'number' || !(value > 0)) {
+          errors.push(`healthcheck.${key}: must be a positive number of seconds`);
+        } else {
+          manifest.healthcheck[key] = value;
+        }
+      });
+      [['successes', successes, 'successes'], ['max_wait', maxWait, 'maxWait']].forEach(([key, value, field]) => {
+        if (value === undefined) return;
+        if (!Number.isInteger(value) || value < 1) {
+          errors.push(`healthcheck.${key}: must be a positive integer`);
+        } else {
+          manifest.healthcheck[field] = value;
+        }
+      });
+    }
+  }
+
+  if (raw.resources !== undefined) {
+    if (!isPlainObject(raw.resources)) {
+      errors.push('resources: must be a mapping');
+    } else {
+      checkKeys(raw.resources, ['memory', 'cpus'], 'resources.', errors);
+      const { memory, cpus } = raw.resources;
+      if (memory !== undefined) {
+        if (!MEMORY_PATTERN.test(String(memory))) {
+          errors.push('resources.memory: must be a size such as 512m or 1g');
+        } else {
+          manifest.resources.memory = String(memory).toLowerCase();
+        }
+      }
+      if (cpus !== undefined) {
+        if (typeof cpus !== 'number' || !(cpus > 0)) {
+          errors.push('resources.cpus: must be a positive number');
+        } else {
+          manifest.resources.cpus = cpus;
+        }
+      }
+    }
+  }
+
+  if (raw.volumes !== undefined) {
+    if (!Array.isArray(raw.volumes)) {
+      errors.push('volumes: must be a list of name:/container/path entries');
+    } else {
+      raw.volumes.forEach((entry, index) => {
+        const match = typeof entry === 'string' && entry.match(VOLUME_PATTERN);
+        if (!match) {
+          errors.push(`volumes[${index}]: must look like name:/container/path[:ro] (host paths are not allowed)`);
+          return;
+        }
+        manifest.volumes.push({ name: match[1], target: match[2], readOnly: match[3] === 'ro' });
+      });
+    }
+  }
+
+  if (raw.domains !== undefined) {
+    if (!isPlainObject(raw.domains)) {
+      errors.push('domains: must map branch names to domains');
+    } else {
+      Object.entries(raw.domains).forEach(([branch, domain]) => {
+        if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain)) {
+          errors.push(`domains.${branch}: must be a valid domain name`);
+        } else {
+          manifest.domains[branch] = domain.toLowerCase();
+        }
+      });
+    }
+  }
+
+  if (raw.pre_deploy !== undefined) {
+    manifest.preDeploy = validateCommands(raw.pre_deploy, 'pre_deploy', errors);
+  }
+  if (raw.post_deploy !== undefined) {
+    manifest.postDeploy = validateCommands(raw.post_deploy, 'post_deploy', errors);
+  }
+
+  if (raw.compose !== undefined) {
+    if (raw.compose === false) {
+      manifest.compose = false;
+    } else {
+      manifest.compose = validateRepoPath(raw.compose, 'compose', errors);
+    }
+  }
+
+  if (raw.service !== undefined) {
+    if (typeof raw.service !== 'string' || !SERVICE_PATTERN.test(raw.service)) {
+      errors.push('service: must be the name of a compose service');
+    } else {
+      manifest.service = raw.service;
+    }
+  }
+
+  if (raw.static !== undefined) {
+    if (!isPlainObject(raw.static)) {
+      errors.push('static: must be a mapping');
+    } else {
+      checkKeys(raw.static, ['image', 'build', 'output', 'spa'], 'static.', errors);
+      const { image, build, output, spa } = raw.static;
+      if (image !== undefined) {
+        if (typeof image !== 'string' || !IMAGE_PATTERN.test(image)) {
+          errors.push('static.image: must be a Docker image name');
+        } else {
+          manifest.static.image = image;
+        }
+      }
+      if (build !== undefined) {
+        if (typeof build !== 'string' || !build.trim()) {
+          errors.push('static.build: must be a command');
+        } else {
+          manifest.static.build = build.trim();
+        }
+      }
+      if (output !== undefined) {
+        manifest.static.output = validateRepoPath(output, 'static.output', errors);
+      }
+      if (spa !== undefined) {
+        if (typeof spa !== 'boolean') {
+          errors.push('static.spa: must be true or false');
+        } else {
+          manifest.static.spa = spa;
+        }
+      }
+    }
+  }
+
+  return { manifest, errors };
+}
+
+// Service settings that give containers access to the host
+const HOST_ACCESS_KEYS = ['privileged', 'cap_add', 'devices', 'device_cgroup_rules', 'security_opt', 'cgroup_parent'];
+
+// Namespaces a service may share: only with another service of the stack
+const NAMESPACE_VALUES = {
+  network_mode: /^(bridge|none|service:[a-zA-Z0-9][a-zA-Z0-9_.-]*)$/,
+  ipc: /^(private|shareable|none|service:[a-zA-Z0-9][a-zA-Z0-9_.-]*)$/,
+  pid: /^service:[a-zA-Z0-9][a-zA-Z0-9_.-]*$/,
+  uts: /^$/,
+  userns_mode: /^$/,
+  cgroup: /^private$/,
+};
+
+const REMOTE_CONTEXT_PATTERN = /^(https?:\/\/|git@|git:\/\/)/;
+
+/**
+ * Whether a path from a compose file stays inside the repository. Stacks
+ * run with the repository as project directory, so paths are relative to
+ * it; variables are not resolved, so they are not allowed.
+ */
+function isInsideRepo(value, baseDir) {
+  if (typeof value !== 'string' || !value || /[$~]/.test(value) || path.posix.isAbsolute(value)) {
+    return false;
+  }
+  const resolved = path.posix.normalize(path.posix.join(baseDir, value));
+  return resolved !== '..' && !resolved.startsWith('../');
+}
+
+function validateServiceVolume(entry, key, errors) {
+  if (typeof entry === 'string') {
+    const [source, target] = entry.split(':');
+    // A lone container path is an anonymous volume
+    if (target !== undefined && !VOLUME_NAME_PATTERN.test(source)) {
+      errors.push(`${key}: host paths are not allowed, use a named volume`);
+    }
+  } else if (!isPlainObject(entry) || !['volume', 'tmpfs'].includes(entry.type || 'volume')
+    || (entry.source !== undefined && !VOLUME_NAME_PATTERN.test(entry.source))) {
+    errors.push(`${key}: host paths are not allowed, use a named volume`);
+  }
+}
+
+function validateComposeService(service, name, baseDir, errors) {
+  const prefix = `services.${name}`;
+  if (!isPlainObject(service)) {
+    errors.push(`${prefix}: must be a mapping`);
+    return;
+  }
+
+  HOST_ACCESS_KEYS
+    .filter(key => service[key] !== undefined && service[key] !== false)
+    .forEach(key => errors.push(`${prefix}.${key}: not allowed`));
+  Object.entries(NAMESPACE_VALUES)
+    .filter(([key, pattern]) => service[key] !== undefined && !pattern.test(String(service[key])))
+    .forEach(([key]) => errors.push(`${prefix}.${key}: may only be shared with another service of the stack`));
+
+  (Array.isArray(service.volumes) ? service.volumes : [])
+    .forEach((entry, index) => validateServiceVolume(entry, `${prefix}.volumes[${index}]`, errors));
+  (Array.isArray(service.volumes_from) ? service.volumes_from : []).forEach((entry, index) => {
+    if (typeof entry !== 'string' || entry.startsWith('container:')) {
+      errors.push(`${prefix}.volumes_from[${index}]: may only name a service of the stack`);
+    }
+  });
+
+  const build = typeof service.build === 'string' ? { context: service.build } : service.build;
+  if (isPlainObject(build)) {
+    const context = build.context || '.';
+    if (!REMOTE_CONTEXT_PATTERN.test(context)) {
+      if (!isInsideRepo(context, baseDir)) {
+        errors.push(`${prefix}.build.context: must be a path inside the repository`);
+      } else if (build.dockerfile !== undefined && !isInsideRepo(build.dockerfile, path.posix.join(baseDir, context))) {
+        errors.push(`${prefix}.build.dockerfile: must be a path inside the repository`);
+      }
+    }
+    if (build.additional_contexts !== undefined) {
+      errors.push(`${prefix}.build.additional_contexts: not allowed`);
+    }
+  }
+
+  const envFiles = service.env_file === undefined ? [] : [].concat(service.env_file);
+  envFiles
+    .map(entry => (isPlainObject(entry) ? entry.path : entry))
+    .filter(file => !isInsideRepo(file, baseDir))
+    .forEach(() => errors.push(`${prefix}.env_file: must be a path inside the repository`));
+
+  if (isPlainObject(service.extends) && service.extends.file !== undefined) {
+    errors.push(`${prefix}.extends.file: extending services from other files is not supported`);
+  }
+}
+
+/**
+ * Validate a parsed compose file against the same rules as vellaric.yml:
+ * services get no host access and store data in named volumes only.
+ * Returns a list of human readable errors.
+ */
+function validateCompose(compose) {
+  const errors = [];
+  const baseDir = '.';
+  if (!isPlainObject(compose)) {
+    return ['must be a mapping'];
+  }
+
+  if (compose.include !== undefined) {
+    errors.push('include: including other compose files is not supported');
+  }
+  Object.entries(isPlainObject(compose.services) ? compose.services : {})
+    .forEach(([name, service]) => validateComposeService(service, name, baseDir, errors));
+
+  // Volumes are created for the stack; they may not bind host paths or
+  // reach the volumes of other stacks
+  Object.entries(isPlainObject(compose.volumes) ? compose.volumes : {})
+    .filter(([, volume]) => isPlainObject(volume))
+    .forEach(([name, volume]) => ['driver', 'driver_opts', 'external', 'name']
+      .filter(key => volume[key] !== undefined)
+      .forEach(key => errors.push(`volumes.${name}.${key}: not allowed`)));
+
+  ['secrets', 'configs'].forEach((section) => {
+    Object.entries(isPlainObject(compose[section]) ? compose[section] : {})
+      .filter(([, entry]) => isPlainObject(entry) && entry.file !== undefined && !isInsideRepo(entry.file, baseDir))
+      .forEach(([name]) => errors.push(`${section}.${name}.file: must be a path inside the repository`));
+  });
+
+  return errors;
+}
+
+/**
+ * Read and validate the manifest of a checked out repository.
+ * Throws with an `errors` list when the file is invalid.
+ */
+async function loadManifest(repoPath) {
+  for (const file of MANIFEST_FILES) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(repoPath, file), 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    const document = YAML.parseDocument(content);
+    if (document.errors.length > 0) {
+      const error = new Error(`Invalid ${file}: could not parse YAML`);
+      error.errors = document.errors.map(err => err.message.split('\n')[0]);
+      throw error;
+    }
+
+    const { manifest, errors } = validateManifest(document.toJS());
+    if (errors.length > 0) {
+      const error = new Error(`Invalid ${file}: ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return { file, manifest };
+  }
+
+  return { file: null, manifest: defaultManifest() };
+}
+
+module.exports = {
+  loadManifest,
+  validateManifest,
+  validateCompose,
+  defaultManifest,
+};
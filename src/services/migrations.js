@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { encryptText, isEncrypted } = require('../utils/security');
 
 /**
  * Database migrations
@@ -10,6 +11,15 @@ async function runMigrations(db) {
   
   // Migration 1: Add projects table and migrate environment_variables
   await migration_001_projects_table(db);
+
+  // Migration 2: Environment variables per monorepo app
+  await migration_002_env_vars_per_app(db);
+
+  // Migration 3: Encrypt the environment snapshots of deployments
+  await migration_003_encrypt_env_snapshots(db);
+
+  // Migration 4: Encrypt project webhook secrets
+  await migration_004_encrypt_webhook_secrets(db);
   
   logger.info('All migrations completed');
 }
@@ -226,6 +236,112 @@ function migration_001_projects_table(db) {
   });
 }
 
+/**
+ * Migration 002: Add the app column to environment_variables. The unique
+ * key gains the app, which SQLite can only change by rebuilding the table.
+ */
+async function migration_002_env_vars_per_app(db) {
+  const run = (sql) => new Promise((resolve, reject) => {
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+  const columns = await new Promise((resolve, reject) => {
+    db.all("PRAGMA table_info(environment_variables)", (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  if (columns.some(col => col.name === 'app')) {
+    logger.info('Migration 002: Already applied, skipping');
+    return;
+  }
+
+  logger.info('Migration 002: Adding app to environment_variables...');
+  try {
+    await run('BEGIN TRANSACTION');
+    await run(`
+      CREATE TABLE environment_variables_new (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        branch TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        is_secret INTEGER DEFAULT 0,
+        description TEXT,
+        app TEXT NOT NULL DEFAULT '',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        scope TEXT DEFAULT 'runtime',
+        UNIQUE(project_id, branch, key, app),
+        FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+    await run(`
+      INSERT INTO environment_variables_new
+      (id, project_id, branch, key, value, is_secret, description, created_at, updated_at, scope)
+      SELECT id, project_id, branch, key, value, is_secret, description, created_at, updated_at, scope
+      FROM environment_variables
+    `);
+    await run('DROP TABLE environment_variables');
+    await run('ALTER TABLE environment_variables_new RENAME TO environment_variables');
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_env_vars_project_branch 
+      ON environment_variables(project_id, branch)
+    `);
+    await run('COMMIT');
+  } catch (err) {
+    logger.error('Migration 002 failed:', err);
+    await run('ROLLBACK').catch(() => {});
+    throw err;
+  }
+
+  logger.info('Migration 002: Completed successfully');
+}
+
+/**
+ * Migration 003: Encrypt environment snapshots stored in plain text. They
+ * hold the secret variables a deployment ran with.
+ */
+async function migration_003_encrypt_env_snapshots(db) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all('SELECT id, env_snapshot FROM deployments WHERE env_snapshot IS NOT NULL', (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const plain = rows.filter(row => !isEncrypted(row.env_snapshot));
+
+  if (plain.length === 0) {
+    logger.info('Migration 003: Already applied, skipping');
+    return;
+  }
+
+  logger.info(`Migration 003: Encrypting ${plain.length} environment snapshots...`);
+  for (const row of plain) {
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE deployments SET env_snapshot = ? WHERE id = ?', [encryptText(row.env_snapshot), row.id], (err) => (err ? reject(err) : resolve()));
+    });
+  }
+  logger.info('Migration 003: Completed successfully');
+}
+
+/**
+ * Migration 004: Encrypt project webhook secrets stored in plain text
+ */
+async function migration_004_encrypt_webhook_secrets(db) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all('SELECT id, webhook_secret FROM projects WHERE webhook_secret IS NOT NULL', (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const plain = rows.filter(row => !isEncrypted(row.webhook_secret));
+
+  if (plain.length === 0) {
+    logger.info('Migration 004: Already applied, skipping');
+    return;
+  }
+
+  logger.info(`Migration 004: Encrypting ${plain.length} webhook secrets...`);
+  for (const row of plain) {
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE projects SET webhook_secret = ? WHERE id = ?', [encryptText(row.webhook_secret), row.id], (err) => (err ? reject(err) : resolve()));
+    });
+  }
+  logger.info('Migration 004: Completed successfully');
+}
+
 module.exports = {
   runMigrations
 };
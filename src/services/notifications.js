@@ -0,0 +1,182 @@
+/**
+ * Deployment notifications
+ *
+ * Projects configure notification channels (Slack, Discord, a signed JSON
+ * webhook or email) and pick the deployment events each one receives.
+ * Failed sends are retried in the background; sending never fails a
+ * deployment.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getNotificationChannels, recordNotificationResult } = require('./database');
+const { getDeploymentLogUrl } = require('./deploymentLogs');
+const { getStageLabel, formatDuration } = require('./deploymentStages');
+const { getNotifier } = require('./notifiers');
+
+const EVENTS = ['queued', 'started', 'success', 'failed', 'ssl_failed', 'rollback'];
+const DEFAULT_EVENTS = ['success', 'failed', 'ssl_failed', 'rollback'];
+
+// Delays before the 2nd, 3rd and 4th attempt
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000];
+
+const COLORS = {
+  queued: '#6b7280',
+  started: '#3b82f6',
+  success: '#16a34a',
+  failed: '#dc2626',
+  ssl_failed: '#f59e0b',
+  rollback: '#8b5cf6',
+  test: '#3b82f6',
+};
+
+/**
+ * Build the channel independent message of a deployment event
+ */
+function buildMessage(deployment, event, { domain, error, stage, durationMs } = {}) {
+  const project = deployment.app ? `${deployment.projectName}/${deployment.app.name}` : deployment.projectName;
+  const name = `${project} (${deployment.previewKey || deployment.branch})`;
+  const sha = deployment.commitSha || deployment.commit;
+  const shortSha = sha && sha !== 'unknown' ? sha.substring(0, 8) : null;
+  const commitTitle = (deployment.commitMessage || '').split('\n')[0].trim();
+  const url = deployment.id ? getDeploymentLogUrl(deployment.id) : undefined;
+
+  const titles = {
+    queued: `🕐 ${name} queued for deployment`,
+    started: `🔨 Deploying ${name}`,
+    success: `✅ ${name} deployed${domain ? ` to ${domain}` : ''}`,
+    failed: `❌ Deployment of ${name} failed`,
+    ssl_failed: `⚠️ SSL certificate for ${domain} could not be obtained`,
+    rollback: `↩️ ${name} rolled back${shortSha ? ` to ${shortSha}` : ''}`,
+    test: `🔔 Test notification for ${deployment.projectName}`,
+  };
+
+  const fields = [
+    shortSha && { label: 'Commit', value: commitTitle ? `${shortSha} ${commitTitle}` : shortSha, inline: false },
+    deployment.author && { label: 'Author', value: deployment.author, inline: true },
+    domain && { label: 'Domain', value: `https://${domain}`, inline: true },
+    durationMs !== undefined && { label: 'Duration', value: formatDuration(durationMs), inline: true },
+    stage && { label: 'Failed stage', value: getStageLabel(stage), inline: true },
+    error && { label: 'Error', value: String(error).slice(0, 1000), inline: false },
+  ].filter(Boolean);
+
+  return {
+    event,
+    title: titles[event],
+    summary: event === 'ssl_failed'
+      ? `${name} is live over HTTP only.`
+      : `${project} • ${deployment.previewKey || deployment.branch}`,
+    color: COLORS[event],
+    url,
+    fields,
+    payload: {
+      id: deployment.id,
+      project: deployment.projectName,
+      app: deployment.app?.name || null,
+      branch: deployment.branch,
+      preview: deployment.previewKey || null,
+      commit: sha || null,
+      commitMessage: deployment.commitMessage || null,
+      author: deployment.author || null,
+      domain: domain || null,
+      durationSeconds: durationMs !== undefined ? Math.round(durationMs / 1000) : null,
+      error: error || null,
+      failedStage: stage || null,
+      rollbackOf: deployment.rollbackOf || null,
+      url: url || null,
+    },
+    deliveryId: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a message to a channel, retrying failures that may be temporary
+ */
+async function deliver(channel, message) {
+  const notifier = getNotifier(channel.type);
+  if (!notifier) {
+    logger.warn(`Unknown notification channel type: ${channel.type}`);
+    return;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await notifier.send(channel, message);
+      break;
+    } catch (error) {
+      const retryDelay = RETRY_DELAYS_MS[attempt];
+      if (error.retryable === false || retryDelay === undefined) {
+        logger.error(`Notification ${message.event} to ${notifier.label} channel ${channel.id} failed: ${error.message}`);
+        await recordNotificationResult(channel.id, error).catch(() => {});
+        return;
+      }
+      logger.warn(`Notification ${message.event} to ${notifier.label} channel ${channel.id} failed, retrying in ${retryDelay / 1000}s: ${error.message}`);
+      await delay(retryDelay);
+    }
+  }
+
+  // Recorded outside the retry loop: a failed write must not send again
+  await recordNotificationResult(channel.id).catch((error) => {
+    logger.warn(`Could not record notification result for channel ${channel.id}: ${error.message}`);
+  });
+}
+
+/**
+ * Notify the project's channels subscribed to a deployment event
+ */
+async function notifyDeployment(deployment, event, details = {}) {
+  if (!deployment.projectId) {
+    return;
+  }
+
+  try {
+    const channels = (await getNotificationChannels(deployment.projectId))
+      .filter(channel => channel.enabled && channel.events.split(',').includes(event));
+    if (channels.length === 0) {
+      return;
+    }
+
+    const message = buildMessage(deployment, event, details);
+    channels.forEach(channel => {
+      deliver(channel, message).catch((error) => {
+        logger.error(`Error delivering notification to ${channel.id}:`, error);
+      });
+    });
+  } catch (error) {
+    logger.error(`Error sending ${event} notifications for ${deployment.id}:`, error);
+  }
+}
+
+/**
+ * Send a sample message to a channel once, without retries
+ */
+async function sendTestNotification(channel, project) {
+  const notifier = getNotifier(channel.type);
+  const message = buildMessage({
+    projectId: project.id,
+    projectName: project.name,
+    branch: project.default_branch,
+    author: 'Vellaric Signal',
+  }, 'test');
+
+  try {
+    await notifier.send(channel, message);
+    await recordNotificationResult(channel.id);
+  } catch (error) {
+    await recordNotificationResult(channel.id, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  DEFAULT_EVENTS,
+  buildMessage,
+  notifyDeployment,
+  sendTestNotification,
+};
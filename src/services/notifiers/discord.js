@@ -0,0 +1,34 @@
+const { postJson, isHttpUrl, isUrlOnHost, assertPublicUrl } = require('./helpers');
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+
+/**
+ * Discord channel webhook (https://discord.com/api/webhooks/...)
+ */
+module.exports = {
+  type: 'discord',
+  label: 'Discord',
+
+  validateTarget(target) {
+    if (!isHttpUrl(target, { httpsOnly: true }) || !isUrlOnHost(target, DISCORD_HOSTS)) {
+      return 'Discord webhook URL must be an https://discord.com/ URL';
+    }
+    return null;
+  },
+
+  async send(channel, message) {
+    // Channels saved before the host check may point anywhere
+    await assertPublicUrl(channel.target);
+    await postJson(channel.target, {
+      username: 'Vellaric Signal',
+      embeds: [{
+        title: message.title,
+        url: message.url,
+        description: message.summary,
+        color: parseInt(message.color.replace('#', ''), 16),
+        fields: message.fields.map(field => ({ name: field.label, value: field.value, inline: field.inline })),
+        timestamp: message.timestamp,
+      }],
+    }, {}, { redirect: 'error' });
+  },
+};
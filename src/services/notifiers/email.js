@@ -0,0 +1,69 @@
+const nodemailer = require('nodemailer');
+const { sendError } = require('./helpers');
+
+/**
+ * Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+ * SMTP_FROM). The channel target is a comma-separated list of addresses.
+ */
+
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+let transporter = null;
+
+function getTransporter() {
+  if (!process.env.SMTP_HOST) {
+    throw sendError('SMTP_HOST not set', false);
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      connectionTimeout: 10000,
+    });
+  }
+  return transporter;
+}
+
+function parseRecipients(target) {
+  return String(target || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+module.exports = {
+  type: 'email',
+  label: 'Email',
+
+  validateTarget(target) {
+    const recipients = parseRecipients(target);
+    return recipients.length > 0 && recipients.every(address => EMAIL_PATTERN.test(address))
+      ? null
+      : 'Enter one or more email addresses separated by commas';
+  },
+
+  async send(channel, message) {
+    const lines = [
+      message.summary,
+      '',
+      ...message.fields.map(field => `${field.label}: ${field.value}`),
+      ...(message.url ? ['', `Logs: ${message.url}`] : []),
+    ];
+
+    try {
+      await getTransporter().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: parseRecipients(channel.target),
+        subject: message.title,
+        text: lines.join('\n'),
+      });
+    } catch (error) {
+      if (error.retryable !== undefined) {
+        throw error;
+      }
+      // 5xx SMTP replies are permanent (bad recipient, rejected sender)
+      throw sendError(`SMTP error: ${error.message}`, !(error.responseCode >= 500));
+    }
+  },
+};
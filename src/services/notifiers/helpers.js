@@ -0,0 +1,121 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges: never a notification target
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Send failure; `retryable` tells the sender whether trying again can help
+ */
+function sendError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * POST a JSON body. Network errors, 429 and 5xx responses are retryable,
+ * other non-2xx responses are not. `redirect: 'error'` refuses redirects.
+ */
+async function postJson(url, body, headers = {}, { redirect = 'follow' } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      redirect,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw sendError(`Request failed: ${error.cause?.message || error.message}`, true);
+  }
+
+  if (!response.ok) {
+    const text = (await response.text().catch(() => '')).slice(0, 200);
+    throw sendError(
+      `HTTP ${response.status}${text ? `: ${text}` : ''}`,
+      response.status === 429 || response.status >= 500
+    );
+  }
+}
+
+/**
+ * Whether a value is an http(s) URL
+ */
+function isHttpUrl(value, { httpsOnly = false } = {}) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (!httpsOnly && url.protocol === 'http:');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a URL's host is one of `hosts`
+ */
+function isUrlOnHost(value, hosts) {
+  try {
+    return hosts.includes(new URL(value).hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a URL names the local host or a private address literally.
+ * Host names are checked again when they are resolved before sending.
+ */
+function isPrivateHost(value) {
+  try {
+    const host = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Make sure every address a URL's host resolves to is public, so server
+ * side requests cannot reach internal services
+ */
+async function assertPublicUrl(value) {
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch (error) {
+    throw sendError(`Could not resolve ${host}: ${error.code || error.message}`, true);
+  }
+  if (isPrivateHost(value) || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw sendError(`${host} resolves to a private address`, false);
+  }
+}
+
+module.exports = {
+  sendError,
+  postJson,
+  isHttpUrl,
+  isUrlOnHost,
+  isPrivateHost,
+  assertPublicUrl,
+};
@@ -0,0 +1,34 @@
+/**
+ * Notification channel types
+ *
+ * Each notifier sends deployment messages to one kind of channel:
+ *
+ *   type            stored in notification_channels.type
+ *   hasSecret       whether channels get a generated signing secret
+ *   validateTarget  (target) => error message, or null when valid
+ *   send            (channel, message) => resolves once delivered; throws
+ *                   an Error with `retryable` set when delivery failed
+ *
+ * `message` is built by services/notifications.js:
+ *   { event, title, summary, color, url, fields: [{ label, value, inline }],
+ *     payload, deliveryId, timestamp }
+ */
+
+const notifiers = [
+  require('./slack'),
+  require('./discord'),
+  require('./webhook'),
+  require('./email'),
+];
+
+/**
+ * Look up a notifier by channel type
+ */
+function getNotifier(type) {
+  return notifiers.find(n => n.type === type) || null;
+}
+
+module.exports = {
+  notifiers,
+  getNotifier,
+};
@@ -0,0 +1,35 @@
+const { postJson, isHttpUrl, isUrlOnHost, assertPublicUrl } = require('./helpers');
+
+const SLACK_HOSTS = ['hooks.slack.com'];
+
+/**
+ * Slack incoming webhook (https://hooks.slack.com/services/...)
+ */
+module.exports = {
+  type: 'slack',
+  label: 'Slack',
+
+  validateTarget(target) {
+    if (!isHttpUrl(target, { httpsOnly: true }) || !isUrlOnHost(target, SLACK_HOSTS)) {
+      return 'Slack webhook URL must be an https://hooks.slack.com/ URL';
+    }
+    return null;
+  },
+
+  async send(channel, message) {
+    // Channels saved before the host check may point anywhere
+    await assertPublicUrl(channel.target);
+    await postJson(channel.target, {
+      text: message.title,
+      attachments: [{
+        color: message.color,
+        title: message.title,
+        title_link: message.url,
+        text: message.summary,
+        fields: message.fields.map(field => ({ title: field.label, value: field.value, short: field.inline })),
+        footer: 'Vellaric Signal',
+        ts: Math.floor(new Date(message.timestamp).getTime() / 1000),
+      }],
+    }, {}, { redirect: 'error' });
+  },
+};
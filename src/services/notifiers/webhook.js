@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { postJson, isHttpUrl, isPrivateHost, assertPublicUrl } = require('./helpers');
+
+/**
+ * Generic JSON webhook
+ *
+ * The body is signed like incoming generic deploy hooks:
+ * X-Signal-Signature: sha256=<hex HMAC of the body with the channel secret>
+ */
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook',
+  hasSecret: true,
+
+  validateTarget(target) {
+    if (!isHttpUrl(target, { httpsOnly: true })) {
+      return 'Webhook URL must be an https URL';
+    }
+    return isPrivateHost(target) ? 'Webhook URL must not point to a local or private address' : null;
+  },
+
+  async send(channel, message) {
+    const body = JSON.stringify({
+      event: message.event,
+      message: message.title,
+      deployment: message.payload,
+      timestamp: message.timestamp,
+    });
+    const headers = {
+      'User-Agent': 'Vellaric-Signal',
+      'X-Signal-Event': message.event,
+      'X-Signal-Delivery': message.deliveryId,
+    };
+    if (channel.secret) {
+      headers['X-Signal-Signature'] = `sha256=${crypto.createHmac('sha256', channel.secret).update(body).digest('hex')}`;
+    }
+
+    // Redirects are refused: they could lead to an internal address
+    await assertPublicUrl(channel.target);
+    await postJson(channel.target, body, headers, { redirect: 'error' });
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * Merge request preview environments
+ *
+ * Each open merge request of a project with previews enabled is deployed
+ * as `<project>-mr-<iid>.BASE_DOMAIN`, using the environment variables of
+ * the project's preview base branch. Every app of a monorepo project gets
+ * its own preview (`<project>-<app>-mr-<iid>`).
+ */
+
+const logger = require('../utils/logger');
+const {
+  savePreviewEnvironment,
+  markPreviewEnvironmentRemoved,
+  getStalePreviewEnvironments,
+} = require('./database');
+const { cancelEnvironmentDeployments } = require('./deploymentQueue');
+const { getApps, queueAppDeployments } = require('./apps');
+const { removeDeployment } = require('./cleanup');
+
+/**
+ * Deployment name of a merge request preview
+ */
+function getPreviewKey(mrIid) {
+  return `mr-${parseInt(mrIid)}`;
+}
+
+/**
+ * Queue deployments of the latest commit of a merge request; returns
+ * their ids (one per app)
+ */
+async function deployPreview(project, mergeRequest) {
+  const { iid, source_branch, target_branch, last_commit, title, url } = mergeRequest;
+  const previewKey = getPreviewKey(iid);
+
+  const { deploymentIds } = await queueAppDeployments({
+    projectId: project.id,
+    projectName: project.name,
+    projectPath: project.name,
+    repoUrl: project.repo_url,
+    branch: source_branch,
+    commit: last_commit?.id || 'unknown',
+    commitMessage: last_commit?.message || title || '',
+    author: mergeRequest.author || last_commit?.author?.name,
+    timestamp: new Date().toISOString(),
+    previewKey,
+    mergeRequestIid: iid,
+    envBranch: project.preview_base_branch || project.default_branch,
+  });
+
+  await savePreviewEnvironment({
+    projectId: project.id,
+    projectName: project.name,
+    mrIid: iid,
+    previewKey,
+    sourceBranch: source_branch,
+    targetBranch: target_branch,
+    title,
+    url,
+    deploymentId: deploymentIds[0],
+  });
+
+  logger.info(`Preview deployment queued: ${deploymentIds.join(', ')} for ${project.name} !${iid}`);
+  return deploymentIds;
+}
+
+/**
+ * Cancel pending builds of a preview and remove its container, images,
+ * nginx config and DNS record
+ */
+async function removePreview(projectId, projectName, mrIid) {
+  const previewKey = getPreviewKey(mrIid);
+
+  await cancelEnvironmentDeployments(projectName, previewKey);
+  const apps = await getApps(projectId);
+  if (apps.length === 0) {
+    await removeDeployment(projectName, previewKey);
+  }
+  for (const app of apps) {
+    await removeDeployment(projectName, previewKey, app);
+  }
+  await markPreviewEnvironmentRemoved(projectId, mrIid);
+
+  logger.info(`Preview removed: ${projectName} !${mrIid}`);
+}
+
+/**
+ * Remove previews that have not been deployed for PREVIEW_MAX_AGE_HOURS
+ */
+async function sweepStalePreviews() {
+  const maxAgeHours = parseInt(process.env.PREVIEW_MAX_AGE_HOURS) || 168;
+  const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000).toISOString();
+  const stale = await getStalePreviewEnvironments(cutoff);
+
+  for (const preview of stale) {
+    logger.info(`Removing abandoned preview ${preview.project_name} !${preview.mr_iid} (last deployed ${preview.last_deployed_at})`);
+    try {
+      await removePreview(preview.project_id, preview.project_name, preview.mr_iid);
+    } catch (error) {
+      logger.error(`Error removing preview ${preview.project_name} !${preview.mr_iid}:`, error);
+    }
+  }
+
+  return stale.length;
+}
+
+/**
+ * Check for abandoned previews every hour
+ */
+function startPreviewSweeper() {
+  const sweep = () => sweepStalePreviews().catch((error) => {
+    logger.error('Error sweeping preview environments:', error);
+  });
+
+  sweep();
+  return setInterval(sweep, 60 * 60 * 1000);
+}
+
+module.exports = {
+  getPreviewKey,
+  deployPreview,
+  removePreview,
+  sweepStalePreviews,
+  startPreviewSweeper,
+};
@@ -0,0 +1,195 @@
+/**
+ * Static sites
+ * Projects of type "static" are built in a throwaway container and the
+ * build output is copied into a versioned release directory that nginx
+ * serves directly. Earlier releases stay on disk for instant rollbacks.
+ *
+ *   <STATIC_SITES_PATH>/<project>-<branch>/
+ *     releases/<timestamp>-<commit>/   one directory per deployment
+ *     site.json                        live release and domain
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { fileExists, readText, findFile } = require('./buildpacks/helpers');
+const { detectNodeVersion, detectPackageManager } = require('./buildpacks/node');
+
+// Build output directories tried in order when vellaric.yml names none
+const OUTPUT_DIRS = ['dist', 'build', 'out', 'public'];
+
+/**
+ * Directory holding the releases of a site (named like its container)
+ */
+function getSiteDir(siteName) {
+  return path.join(getSitesRoot(), siteName);
+}
+
+function getSitesRoot() {
+  return process.env.STATIC_SITES_PATH || '/var/www/static';
+}
+
+/**
+ * Build image and command from vellaric.yml, or from the package manager
+ * and `build` script of package.json. Both are null for sites that are
+ * published as they are.
+ */
+async function resolveStaticBuild(contextPath, settings) {
+  const text = await readText(contextPath, 'package.json');
+  let pkg = {};
+  if (text !== null) {
+    try {
+      pkg = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`package.json is not valid JSON: ${error.message}`);
+    }
+  }
+
+  let command = settings.build;
+  if (!command && pkg.scripts?.build) {
+    const pm = await detectPackageManager(contextPath);
+    command = [pm.setup, pm.install, [...pm.run, 'build'].join(' ')].filter(Boolean).join(' && ');
+  }
+  if (!command) {
+    return { image: null, command: null };
+  }
+
+  return {
+    image: settings.image || `node:${await detectNodeVersion(contextPath, pkg)}-alpine`,
+    command,
+  };
+}
+
+/**
+ * Directory to publish, relative to the build directory: static.output,
+ * else the first candidate with an index.html. It must not lead out of
+ * the build directory through a symlink.
+ */
+async function findOutputDir(buildDir, settings, built) {
+  let output = settings.output;
+  if (output) {
+    if (!(await fileExists(buildDir, output))) {
+      throw new Error(`Build output ${output} not found`);
+    }
+  } else {
+    const candidates = built ? OUTPUT_DIRS : ['.', 'public'];
+    const index = await findFile(buildDir, candidates.map(dir => path.posix.join(dir, 'index.html')));
+    if (!index) {
+      throw new Error(`No index.html found in ${candidates.join(', ')}; set static.output in vellaric.yml`);
+    }
+    output = path.posix.dirname(index);
+  }
+
+  const root = await fs.realpath(buildDir);
+  const resolved = await fs.realpath(path.join(buildDir, output));
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Build output ${output} points outside the build directory`);
+  }
+  return output;
+}
+
+/**
+ * Repository metadata, dotfiles and dependencies are never served, and
+ * neither are symlinks: they could point anywhere on the host
+ */
+async function isPublishable(file) {
+  const name = path.basename(file);
+  if (name !== '.well-known' && (name.startsWith('.') || name === 'node_modules')) {
+    return false;
+  }
+  const stats = await fs.lstat(file);
+  return !stats.isSymbolicLink();
+}
+
+/**
+ * Copy build output into a new release directory; a partial copy is
+ * removed again
+ */
+async function publishRelease(outputDir, releasePath) {
+  await fs.mkdir(path.dirname(releasePath), { recursive: true });
+  try {
+    await fs.cp(outputDir, releasePath, { recursive: true, filter: isPublishable });
+  } catch (error) {
+    await fs.rm(releasePath, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Live release and domain of a site, or null before its first deploy
+ */
+async function readSiteState(siteDir) {
+  const text = await readText(siteDir, 'site.json');
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    logger.warn(`Could not parse ${path.join(siteDir, 'site.json')}: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeSiteState(siteDir, state) {
+  await fs.writeFile(path.join(siteDir, 'site.json'), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Name of the site served on a domain, or null
+ */
+async function findSiteByDomain(domain) {
+  const sitesDir = getSitesRoot();
+  const sites = await fs.readdir(sitesDir).catch(() => []);
+  for (const site of sites) {
+    const state = await readSiteState(path.join(sitesDir, site));
+    if (state?.domain === domain) {
+      return site;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove releases beyond the `keep` most recent ones. The live release is
+ * always kept.
+ */
+async function pruneReleases(siteDir, keep, liveRelease) {
+  const releasesDir = path.join(siteDir, 'releases');
+  try {
+    // Release names start with a timestamp: newest first once reversed
+    const releases = (await fs.readdir(releasesDir))
+      .filter(name => /^\d+-/.test(name))
+      .sort()
+      .reverse()
+      .map(name => path.join(releasesDir, name))
+      .filter(release => release !== liveRelease);
+
+    for (const release of releases.slice(keep - 1)) {
+      await fs.rm(release, { recursive: true, force: true });
+      logger.info(`Pruned old static release: ${release}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not prune static releases in ${releasesDir}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a site with all its releases. Returns its last state so the
+ * caller can remove the domain it was served on.
+ */
+async function removeSite(siteName) {
+  const siteDir = getSiteDir(siteName);
+  const state = await readSiteState(siteDir);
+  await fs.rm(siteDir, { recursive: true, force: true });
+  return state;
+}
+
+module.exports = {
+  getSiteDir,
+  resolveStaticBuild,
+  findOutputDir,
+  publishRelease,
+  readSiteState,
+  writeSiteState,
+  findSiteByDomain,
+  pruneReleases,
+  removeSite,
+};
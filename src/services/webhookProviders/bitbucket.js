@@ -0,0 +1,59 @@
+const { verifyHmacSignature } = require('../../utils/security');
+const { ignore } = require('./helpers');
+
+/**
+ * Bitbucket Cloud push webhooks
+ * POST /webhook/bitbucket, signed with X-Hub-Signature (sha256=<hex>)
+ */
+module.exports = {
+  name: 'bitbucket',
+  label: 'Bitbucket Cloud',
+  secretEnv: 'BITBUCKET_WEBHOOK_SECRET',
+  events: ['diagnostics:ping', 'repo:push'],
+
+  getEvent(req) {
+    return req.headers['x-event-key'];
+  },
+
+  verify(req, secret) {
+    return verifyHmacSignature(req.rawBody, req.headers['x-hub-signature'], secret, 'sha256=');
+  },
+
+  parse(event, payload) {
+    const { repository, actor, push } = payload;
+    const slug = repository?.full_name;
+    const source = repository && {
+      name: repository.name,
+      repoUrls: [
+        repository.links?.html?.href,
+        slug && `https://bitbucket.org/${slug}.git`,
+        slug && `git@bitbucket.org:${slug}.git`,
+      ],
+    };
+
+    if (event === 'diagnostics:ping') {
+      return { type: 'ping', project: source, message: 'pong' };
+    }
+
+    // One push can update several branches; deleted branches have no "new" state
+    const pushes = (push?.changes || [])
+      .filter(change => change.new?.type === 'branch' && change.new.target?.hash)
+      .map(change => ({
+        projectPath: slug,
+        branch: change.new.name,
+        commit: change.new.target.hash,
+        commitMessage: change.new.target.message || '',
+        author: actor?.display_name || change.new.target.author?.user?.display_name || change.new.target.author?.raw,
+      }));
+
+    if (pushes.length === 0) {
+      return ignore('No commit to deploy', { project: source });
+    }
+
+    return {
+      type: 'push',
+      project: source,
+      pushes,
+    };
+  },
+};
@@ -0,0 +1,49 @@
+const { verifyHmacSignature, isValidGitRef } = require('../../utils/security');
+
+/**
+ * Generic deploy hook for CI systems and scripts
+ * POST /webhook/generic, signed with X-Signal-Signature (sha256=<hex>)
+ *
+ * Body: { "project": "my-app", "branch": "main", "commit": "<sha or tag>",
+ *         "message": "optional", "author": "optional" }
+ */
+module.exports = {
+  name: 'generic',
+  label: 'Generic',
+  secretEnv: 'GENERIC_WEBHOOK_SECRET',
+  events: ['deploy'],
+
+  getEvent(req) {
+    return req.headers['x-signal-event'] || 'deploy';
+  },
+
+  verify(req, secret) {
+    return verifyHmacSignature(req.rawBody, req.headers['x-signal-signature'], secret, 'sha256=');
+  },
+
+  parse(event, payload) {
+    const { project, repo_url, branch, commit, message, author } = payload;
+
+    if (typeof project !== 'string' || !project.trim()) {
+      return { type: 'invalid', message: 'project is required' };
+    }
+    if (!isValidGitRef(branch)) {
+      return { type: 'invalid', message: 'branch is required' };
+    }
+    if (!isValidGitRef(commit)) {
+      return { type: 'invalid', message: 'commit must be a commit SHA or tag' };
+    }
+
+    return {
+      type: 'push',
+      project: { name: project.trim(), repoUrls: [repo_url] },
+      pushes: [{
+        projectPath: project.trim(),
+        branch,
+        commit,
+        commitMessage: typeof message === 'string' ? message : '',
+        author: typeof author === 'string' ? author : undefined,
+      }],
+    };
+  },
+};
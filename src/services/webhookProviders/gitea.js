@@ -0,0 +1,57 @@
+const { verifyHmacSignature } = require('../../utils/security');
+const { branchFromRef, isNullCommit, changedFilesOf, ignore } = require('./helpers');
+
+/**
+ * Gitea and Forgejo push webhooks
+ * POST /webhook/gitea (or /webhook/forgejo), signed with X-Gitea-Signature
+ * or X-Forgejo-Signature (hex HMAC-SHA256 of the body)
+ */
+module.exports = {
+  name: 'gitea',
+  label: 'Gitea/Forgejo',
+  aliases: ['forgejo'],
+  secretEnv: 'GITEA_WEBHOOK_SECRET',
+  events: ['push'],
+
+  getEvent(req) {
+    return req.headers['x-forgejo-event'] || req.headers['x-gitea-event'];
+  },
+
+  verify(req, secret) {
+    const signature = req.headers['x-forgejo-signature'] || req.headers['x-gitea-signature'];
+    return verifyHmacSignature(req.rawBody, signature, secret);
+  },
+
+  parse(event, payload) {
+    const { repository, ref, before, after, commits, total_commits, head_commit, pusher, sender } = payload;
+    const source = {
+      name: repository?.name,
+      repoUrls: [repository?.clone_url, repository?.html_url, repository?.ssh_url],
+    };
+
+    const branch = branchFromRef(ref);
+    if (!branch) {
+      return ignore('Event ignored', { project: source });
+    }
+    if (isNullCommit(after)) {
+      return ignore('No commit to deploy', { project: source, ref });
+    }
+    const headCommit = head_commit || commits?.find(c => c.id === after) || commits?.[0];
+
+    return {
+      type: 'push',
+      project: source,
+      pushes: [{
+        projectPath: repository?.full_name,
+        branch,
+        commit: after,
+        commitMessage: headCommit?.message || '',
+        author: pusher?.full_name || pusher?.login || sender?.login || headCommit?.author?.name,
+        changedFiles: changedFilesOf(
+          commits,
+          !isNullCommit(before) && (total_commits ?? 0) <= (commits?.length ?? 0)
+        ),
+      }],
+    };
+  },
+};
@@ -0,0 +1,61 @@
+const { verifyHmacSignature } = require('../../utils/security');
+const { branchFromRef, isNullCommit, changedFilesOf, ignore } = require('./helpers');
+
+const MAX_LISTED_COMMITS = 20;
+
+/**
+ * GitHub push webhooks
+ * POST /webhook/github, signed with X-Hub-Signature-256
+ */
+module.exports = {
+  name: 'github',
+  label: 'GitHub',
+  secretEnv: 'GITHUB_WEBHOOK_SECRET',
+  events: ['ping', 'push'],
+
+  getEvent(req) {
+    return req.headers['x-github-event'];
+  },
+
+  verify(req, secret) {
+    return verifyHmacSignature(req.rawBody, req.headers['x-hub-signature-256'], secret, 'sha256=');
+  },
+
+  parse(event, payload) {
+    const { repository } = payload;
+    const source = {
+      name: repository?.name,
+      repoUrls: [repository?.clone_url, repository?.html_url, repository?.ssh_url],
+    };
+
+    // Sent once when the webhook is created
+    if (event === 'ping') {
+      return { type: 'ping', project: source, message: 'pong', hookId: payload.hook_id };
+    }
+
+    const { ref, after, deleted, created, forced, commits, head_commit, pusher, sender } = payload;
+
+    // Tag pushes are deployed manually by SHA or tag
+    const branch = branchFromRef(ref);
+    if (!branch) {
+      return ignore('Event ignored', { project: source });
+    }
+    if (deleted || isNullCommit(after)) {
+      return ignore('No commit to deploy', { project: source, ref });
+    }
+
+    return {
+      type: 'push',
+      project: source,
+      pushes: [{
+        projectPath: repository?.full_name,
+        branch,
+        commit: after,
+        commitMessage: head_commit?.message || '',
+        author: pusher?.name || sender?.login || head_commit?.author?.name,
+        // GitHub lists at most 20 commits and does not say how many it left out
+        changedFiles: changedFilesOf(commits, !created && !forced && (commits?.length ?? 0) < MAX_LISTED_COMMITS),
+      }],
+    };
+  },
+};
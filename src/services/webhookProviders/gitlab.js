@@ -0,0 +1,112 @@
+const { verifyWebhookSignature } = require('../../utils/security');
+const { branchFromRef, isNullCommit, changedFilesOf, ignore } = require('./helpers');
+
+/**
+ * Pipelines carry the branch without refs/heads/ and the SHA they tested
+ */
+function parsePipeline(payload, source) {
+  const { object_attributes: pipeline, project, commit, user } = payload;
+  if (!pipeline) {
+    return { type: 'invalid', message: 'Missing pipeline attributes' };
+  }
+  if (pipeline.tag || pipeline.source === 'merge_request_event') {
+    return ignore(`Pipeline #${pipeline.id} does not run on a branch`, { project: source });
+  }
+
+  return {
+    type: 'pipeline',
+    project: source,
+    pipeline: {
+      id: pipeline.id,
+      status: pipeline.status,
+      url: pipeline.url || (project?.web_url && `${project.web_url}/-/pipelines/${pipeline.id}`),
+    },
+    pushes: [{
+      projectPath: project?.path_with_namespace,
+      branch: pipeline.ref,
+      commit: pipeline.sha,
+      commitMessage: commit?.message || '',
+      author: commit?.author?.name || user?.name,
+    }],
+  };
+}
+
+/**
+ * GitLab push, merge request and pipeline hooks
+ * POST /webhook/gitlab, authenticated with the X-Gitlab-Token header
+ */
+module.exports = {
+  name: 'gitlab',
+  label: 'GitLab',
+  secretEnv: 'GITLAB_WEBHOOK_SECRET',
+  events: ['Push Hook', 'Merge Request Hook', 'Pipeline Hook'],
+
+  getEvent(req) {
+    return req.headers['x-gitlab-event'];
+  },
+
+  verify(req, secret) {
+    return verifyWebhookSignature(req.headers['x-gitlab-token'], secret);
+  },
+
+  parse(event, payload) {
+    const { project, repository } = payload;
+    const source = {
+      name: project?.name || project?.path || repository?.name,
+      repoUrls: [
+        repository?.git_http_url || repository?.url || project?.http_url_to_repo || project?.git_http_url,
+        repository?.git_ssh_url || project?.git_ssh_url,
+      ],
+    };
+
+    if (event === 'Merge Request Hook') {
+      if (!payload.object_attributes) {
+        return { type: 'invalid', message: 'Missing merge request attributes' };
+      }
+      return {
+        type: 'merge_request',
+        project: source,
+        mergeRequest: {
+          ...payload.object_attributes,
+          author: payload.user?.name,
+          // Merge requests from forks run code of people outside the project
+          fromFork: payload.object_attributes.source_project_id !== payload.object_attributes.target_project_id,
+        },
+      };
+    }
+
+    if (event === 'Pipeline Hook') {
+      return parsePipeline(payload, source);
+    }
+
+    const { ref, commits, user_name, checkout_sha, before, after, total_commits_count } = payload;
+    const branch = branchFromRef(ref);
+    if (!branch) {
+      return ignore('Event ignored', { project: source });
+    }
+
+    const commit = checkout_sha || after;
+    if (isNullCommit(commit)) {
+      return ignore('No commit to deploy', { project: source, ref });
+    }
+    // GitLab lists commits oldest first; use the one being deployed
+    const headCommit = commits?.find(c => c.id === commit) || commits?.[commits.length - 1];
+
+    return {
+      type: 'push',
+      project: source,
+      pushes: [{
+        projectPath: project?.path_with_namespace || repository?.homepage,
+        branch,
+        commit,
+        commitMessage: headCommit?.message || '',
+        author: user_name || headCommit?.author?.name,
+        // GitLab sends at most 20 commits per push
+        changedFiles: changedFilesOf(
+          commits,
+          !isNullCommit(before) && (total_commits_count ?? 0) <= (commits?.length ?? 0)
+        ),
+      }],
+    };
+  },
+};
@@ -0,0 +1,46 @@
+/**
+ * Branch name of a `refs/heads/*` ref, or null for tags and other refs
+ */
+function branchFromRef(ref) {
+  return typeof ref === 'string' && ref.startsWith('refs/heads/')
+    ? ref.replace('refs/heads/', '')
+    : null;
+}
+
+/**
+ * Deleting a branch sends a push with an all-zero "after" SHA
+ */
+function isNullCommit(sha) {
+  return !sha || /^0+$/.test(sha);
+}
+
+/**
+ * Paths touched by the commits of a push, or null when the payload does
+ * not list all of them (new or force-pushed branches, truncated lists).
+ * A null list deploys every app of a project.
+ */
+function changedFilesOf(commits, complete = true) {
+  if (!complete || !Array.isArray(commits) || commits.length === 0) {
+    return null;
+  }
+  const files = new Set();
+  for (const commit of commits) {
+    [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]
+      .forEach(file => files.add(file));
+  }
+  return [...files];
+}
+
+/**
+ * Parse result for events that do not lead to a deployment
+ */
+function ignore(message, details = {}) {
+  return { type: 'ignore', message, ...details };
+}
+
+module.exports = {
+  branchFromRef,
+  isNullCommit,
+  changedFilesOf,
+  ignore,
+};
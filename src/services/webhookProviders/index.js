@@ -0,0 +1,48 @@
+/**
+ * Webhook providers
+ *
+ * Each provider describes one Git host:
+ *
+ *   name        URL segment (POST /webhook/<name>)
+ *   secretEnv   environment variable holding the global fallback secret
+ *   events      events the provider handles; others are ignored
+ *   getEvent    (req) => event name from the request headers
+ *   verify      (req, secret) => whether the request is authentic; the
+ *               secret is the project's own or the global `secretEnv`
+ *   parse       (event, payload) => one of
+ *                 { type: 'push', project: { name, repoUrls }, pushes: [deploymentData] }
+ *                 { type: 'merge_request', project, mergeRequest }
+ *                 { type: 'pipeline', project, pipeline: { id, status, url }, pushes }
+ *                 { type: 'ping', project, message }
+ *                 { type: 'ignore', project, message }
+ *                 { type: 'invalid', message }
+ *
+ * `project` ({ name, repoUrls }) identifies the dashboard project, whose
+ * webhook secret the request is verified with.
+ *
+ * `deploymentData` holds the push fields of a queued deployment:
+ * projectPath, branch, commit, commitMessage and author. Pushes may also
+ * list `changedFiles`, used to pick the apps of a monorepo to rebuild;
+ * without it every app is deployed.
+ */
+
+const providers = [
+  require('./gitlab'),
+  require('./github'),
+  require('./gitea'),
+  require('./bitbucket'),
+  require('./generic'),
+];
+
+/**
+ * Look up a provider by name or alias
+ */
+function getProvider(name) {
+  const key = String(name || '').toLowerCase();
+  return providers.find(p => p.name === key || (p.aliases || []).includes(key)) || null;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+};
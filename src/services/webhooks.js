@@ -0,0 +1,444 @@
+/**
+ * Incoming webhooks: authenticate them, match them to a project, queue
+ * deployments and record every delivery with the decision taken
+ */
+
+const { queueAppDeployments } = require('./apps');
+const {
+  getProjectByName,
+  getAllProjects,
+  saveWebhookDelivery,
+  pruneWebhookDeliveries,
+} = require('./database');
+const { deployPreview, removePreview } = require('./previews');
+const { getProvider } = require('./webhookProviders');
+const { decryptText } = require('../utils/security');
+const logger = require('../utils/logger');
+
+// Headers that carry webhook secrets, signatures or credentials
+const SENSITIVE_HEADER_PATTERN = /token|secret|signature|authorization|cookie/i;
+
+/**
+ * Normalize repository URLs for comparison (remove .git, trailing slashes, etc)
+ */
+function normalizeRepoUrl(url) {
+  return url?.replace(/\.git$/, '').replace(/\/$/, '').toLowerCase();
+}
+
+/**
+ * Find the dashboard project a webhook belongs to, by name first and
+ * then by repository URL
+ */
+async function findProject(projectName, repoUrls) {
+  const candidates = repoUrls.filter(Boolean);
+  const repoUrl = candidates[0];
+
+  let dbProject = projectName ? await getProjectByName(projectName) : null;
+  
+  // If not found by name, try to find by repository URL
+  if (!dbProject && candidates.length > 0) {
+    const normalized = candidates.map(normalizeRepoUrl);
+    const allProjects = await getAllProjects();
+    dbProject = allProjects.find(p => normalized.includes(normalizeRepoUrl(p.repo_url)));
+    
+    if (dbProject) {
+      logger.info(`Project matched by repository URL: ${dbProject.name} (webhook name: ${projectName})`);
+    }
+  }
+
+  return { dbProject, projectName, repoUrl };
+}
+
+/**
+ * Describe the project a webhook asked for, for delivery log reasons
+ */
+function describeSource(projectName, repoUrl) {
+  return `No project named "${projectName}"${repoUrl ? ` or with repository ${repoUrl}` : ''}`;
+}
+
+/**
+ * Response for webhooks of projects that are not in the dashboard
+ */
+function projectNotFound(projectName, repoUrl) {
+  logger.warn(`Webhook received for unknown project: "${projectName}" (repo: ${repoUrl}). Please add this project in the dashboard first.`);
+  return {
+    status: 404,
+    decision: 'project_not_found',
+    reason: describeSource(projectName, repoUrl),
+    body: {
+      error: 'Project not found',
+      message: 'Please add this project in the Vellaric-Signal dashboard before deploying. Make sure the repository URL matches.',
+      receivedProjectName: projectName,
+      receivedRepoUrl: repoUrl,
+      hint: 'Check that the repository URL in your dashboard matches the one from your Git host'
+    },
+  };
+}
+
+/**
+ * Queue a deployment for a push to a project branch, unless auto-deploy
+ * or the branch is disabled for the project. Projects gated on CI only
+ * deploy from successful pipelines (`pipeline`), never from plain pushes.
+ * Monorepo projects get one deployment per app touched by the push.
+ */
+async function queuePushDeployment(dbProject, { changedFiles = null, ...push }, pipeline = null) {
+  const { branch } = push;
+
+  // Check if project has auto-deploy enabled
+  if (!dbProject.auto_deploy) {
+    logger.info(`Auto-deploy disabled for project: ${dbProject.name}`);
+    return {
+      status: 200,
+      decision: 'auto_deploy_disabled',
+      body: { message: 'Auto-deploy is disabled for this project. Use manual deployment from dashboard.' },
+    };
+  }
+  
+  // Check if branch is enabled for this project
+  const enabledBranches = dbProject.enabled_branches.split(',');
+  if (!enabledBranches.includes(branch)) {
+    logger.info(`Branch ${branch} not enabled for project ${dbProject.name}. Enabled: ${dbProject.enabled_branches}`);
+    return {
+      status: 200,
+      decision: 'branch_not_enabled',
+      reason: `Branch ${branch} is not one of the enabled branches (${dbProject.enabled_branches})`,
+      body: {
+        message: 'Branch not enabled for deployment',
+        branch,
+        enabledBranches: dbProject.enabled_branches
+      },
+    };
+  }
+
+  if (dbProject.deploy_on_pipeline && !pipeline) {
+    logger.info(`Push to ${branch} of ${dbProject.name} waits for its CI pipeline`);
+    return {
+      status: 200,
+      decision: 'awaiting_pipeline',
+      reason: `Deploys of ${dbProject.name} wait for a successful pipeline on ${branch}`,
+      body: { message: 'Waiting for the CI pipeline to succeed before deploying', branch },
+    };
+  }
+
+  const deploymentData = {
+    projectId: dbProject.id,
+    projectName: dbProject.name,
+    repoUrl: dbProject.repo_url,
+    ...push,
+    pipelineId: pipeline?.id,
+    pipelineUrl: pipeline?.url,
+    timestamp: new Date().toISOString(),
+  };
+
+  logger.info(pipeline
+    ? `Pipeline #${pipeline.id} succeeded for ${dbProject.name} on ${branch}`
+    : `Received push event for ${dbProject.name} on ${branch}`);
+
+  // Queue deployment (also records it in the deployment history)
+  const { deploymentIds, apps } = await queueAppDeployments(deploymentData, { changedFiles });
+
+  if (deploymentIds.length === 0) {
+    return {
+      status: 200,
+      decision: 'no_changes',
+      reason: `No app of ${dbProject.name} has changes in this push`,
+      body: { message: 'No app changed, nothing to deploy', branch },
+    };
+  }
+
+  return {
+    status: 200,
+    decision: 'queued',
+    deploymentIds,
+    body: {
+      message: apps.length > 0 ? `Deployment queued for ${apps.join(', ')}` : 'Deployment queued',
+      deploymentId: deploymentIds[0],
+      ...(apps.length > 0 && { deploymentIds, apps }),
+      project: deploymentData.projectName,
+      branch,
+      commit: deploymentData.commit.substring(0, 8),
+    },
+  };
+}
+
+/**
+ * Deploy or tear down the preview environment of a merge request
+ */
+async function handleMergeRequest(dbProject, mergeRequest) {
+  if (!dbProject.previews_enabled) {
+    logger.info(`Merge request previews disabled for project: ${dbProject.name}`);
+    return { status: 200, decision: 'previews_disabled', body: { message: 'Merge request previews are disabled for this project' } };
+  }
+
+  const { iid, action } = mergeRequest;
+
+  if (action === 'close' || action === 'merge') {
+    logger.info(`Merge request !${iid} of ${dbProject.name} ${action}d, removing preview`);
+    await removePreview(dbProject.id, dbProject.name, iid);
+    return { status: 200, decision: 'preview_removed', body: { message: 'Preview removed', mergeRequest: iid } };
+  }
+
+  // Previews get the variables and secrets of the base branch, which
+  // anyone able to open a merge request from a fork could read
+  if (mergeRequest.fromFork && !dbProject.previews_from_forks) {
+    logger.warn(`Not deploying merge request !${iid} of ${dbProject.name}: it comes from a fork`);
+    return {
+      status: 200,
+      decision: 'ignored',
+      reason: `Merge request !${iid} comes from a fork; previews of forks are disabled for ${dbProject.name}`,
+      body: { message: 'Merge requests from forks are not previewed', mergeRequest: iid },
+    };
+  }
+
+  // "update" is also sent for title/label changes; only new commits carry oldrev
+  const newCommits = action === 'open' || action === 'reopen' || (action === 'update' && mergeRequest.oldrev);
+  if (!newCommits) {
+    return { status: 200, decision: 'ignored', reason: `Merge request action "${action}" does not add commits`, body: { message: 'Merge request event ignored', action } };
+  }
+
+  const deploymentIds = await deployPreview(dbProject, mergeRequest);
+
+  return {
+    status: 200,
+    decision: 'preview_queued',
+    deploymentIds,
+    body: {
+      message: 'Preview deployment queued',
+      deploymentId: deploymentIds[0],
+      project: dbProject.name,
+      mergeRequest: iid,
+    },
+  };
+}
+
+/**
+ * Deploy the tested commit once a pipeline of a CI-gated project succeeds
+ */
+async function handlePipeline(dbProject, pipeline, push) {
+  if (!dbProject.deploy_on_pipeline) {
+    return {
+      status: 200,
+      decision: 'ignored',
+      reason: `${dbProject.name} deploys on push; pipeline events are only used when deploys are gated on CI`,
+      body: { message: 'Pipeline event ignored' },
+    };
+  }
+
+  if (pipeline.status !== 'success') {
+    const finished = ['failed', 'canceled', 'skipped'].includes(pipeline.status);
+    logger.info(`Pipeline #${pipeline.id} of ${dbProject.name} on ${push.branch}: ${pipeline.status}`);
+    return {
+      status: 200,
+      decision: finished ? 'pipeline_failed' : 'awaiting_pipeline',
+      reason: `Pipeline #${pipeline.id} on ${push.branch} is ${pipeline.status}`,
+      body: { message: `Pipeline ${pipeline.status}, not deploying`, pipeline: pipeline.id },
+    };
+  }
+
+  return queuePushDeployment(dbProject, push, pipeline);
+}
+
+/**
+ * Check a webhook against the project's own secret. Projects created
+ * before per-project secrets fall back to the provider's global secret
+ * (e.g. GITLAB_WEBHOOK_SECRET) until their secret is rotated.
+ */
+function authenticate(provider, req, dbProject) {
+  if (dbProject?.webhook_secret) {
+    let secret;
+    try {
+      secret = decryptText(dbProject.webhook_secret);
+    } catch (error) {
+      logger.error(`Could not decrypt the webhook secret of ${dbProject.name}; was ENCRYPTION_KEY changed? Rotate the secret`);
+      return false;
+    }
+    return provider.verify(req, secret);
+  }
+
+  const globalSecret = process.env[provider.secretEnv];
+  if (!globalSecret) {
+    logger.warn(`${dbProject ? `Project ${dbProject.name} has no webhook secret and ` : ''}${provider.secretEnv} is not configured`);
+    return false;
+  }
+
+  const valid = provider.verify(req, globalSecret);
+  if (valid && dbProject) {
+    logger.warn(`Project ${dbProject.name} authenticated with the global ${provider.secretEnv}; rotate its webhook secret in the dashboard`);
+  }
+  return valid;
+}
+
+/**
+ * Verify, parse and act on a webhook of one provider. Replays of stored
+ * deliveries skip the signature check, which the dashboard session replaces.
+ */
+async function handleWebhook(provider, req, { replay = false } = {}) {
+  const event = provider.getEvent(req);
+  const payload = req.body || {};
+
+  if (!provider.events.includes(event)) {
+    logger.info(`Ignoring ${provider.label} event: ${event}`);
+    return { status: 200, decision: 'ignored', reason: `Unsupported event: ${event || 'none'}`, body: { message: 'Event ignored' } };
+  }
+
+  const result = provider.parse(event, payload);
+
+  if (result.type === 'invalid') {
+    return { status: 400, decision: 'invalid_payload', body: { error: result.message } };
+  }
+
+  // The project decides which secret the webhook must be signed with
+  const { dbProject, projectName, repoUrl } = result.project
+    ? await findProject(result.project.name, result.project.repoUrls)
+    : {};
+
+  // Verify webhook signature
+  const authenticated = replay || authenticate(provider, req, dbProject);
+  if (!authenticated) {
+    logger.warn(`Invalid ${provider.label} webhook signature`);
+    return {
+      status: 401,
+      decision: 'invalid_signature',
+      reason: dbProject
+        ? `Signature does not match the webhook secret of ${dbProject.name}`
+        : `${describeSource(projectName, repoUrl)}, and the signature does not match ${provider.secretEnv}`,
+      dbProject,
+      body: { error: 'Invalid signature' },
+    };
+  }
+
+  const outcome = await dispatch(provider, event, result, { dbProject, projectName, repoUrl });
+  return { ...outcome, dbProject, authenticated: true };
+}
+
+/**
+ * Act on an authenticated webhook
+ */
+async function dispatch(provider, event, result, { dbProject, projectName, repoUrl }) {
+  if (result.type === 'ping') {
+    logger.info(`${provider.label} webhook ping received`);
+    const { type, project, ...body } = result;
+    return { status: 200, decision: 'ping', body };
+  }
+  if (result.type === 'ignore') {
+    logger.info(`Ignoring ${provider.label} ${event}: ${result.message}${result.ref ? ` (${result.ref})` : ''}`);
+    const { type, project, ...body } = result;
+    return { status: 200, decision: 'ignored', reason: `${result.message}${result.ref ? ` (${result.ref})` : ''}`, body };
+  }
+
+  // Check if project exists in database
+  if (!dbProject) {
+    return projectNotFound(projectName, repoUrl);
+  }
+
+  if (result.type === 'merge_request') {
+    return handleMergeRequest(dbProject, result.mergeRequest);
+  }
+
+  if (result.type === 'pipeline') {
+    return handlePipeline(dbProject, result.pipeline, result.pushes[0]);
+  }
+
+  // Projects gated on CI were set up for GitLab; other hosts send no
+  // pipeline events, so their pushes would wait forever
+  if (dbProject.deploy_on_pipeline && result.pushes.length > 0 && !provider.events.includes('Pipeline Hook')) {
+    logger.warn(`${dbProject.name} waits for CI pipelines, which ${provider.label} does not report`);
+    return {
+      status: 200,
+      decision: 'awaiting_pipeline',
+      reason: `${dbProject.name} only deploys after a successful pipeline, and ${provider.label} webhooks never report pipelines; turn off the CI gate`,
+      body: { message: `Deploys wait for a CI pipeline, which ${provider.label} does not report` },
+    };
+  }
+
+  const outcomes = [];
+  for (const push of result.pushes) {
+    outcomes.push(await queuePushDeployment(dbProject, push));
+  }
+  if (outcomes.length === 1) {
+    return outcomes[0];
+  }
+  const queued = outcomes.filter(outcome => outcome.decision === 'queued');
+  return {
+    status: 200,
+    decision: queued.length > 0 ? 'queued' : outcomes[0].decision,
+    reason: outcomes.map(outcome => outcome.reason || outcome.body.message).join('; '),
+    deploymentIds: queued.flatMap(outcome => outcome.deploymentIds),
+    body: {
+      message: `Processed ${outcomes.length} branch updates`,
+      results: outcomes.map(outcome => outcome.body),
+    },
+  };
+}
+
+/**
+ * Replace secrets in request headers before they are stored
+ */
+function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [
+    name,
+    SENSITIVE_HEADER_PATTERN.test(name) ? '[redacted]' : value,
+  ]));
+}
+
+/**
+ * Handle a webhook and record the delivery with its outcome
+ */
+async function processWebhook(provider, req, { replayOf = null } = {}) {
+  let outcome;
+  try {
+    outcome = await handleWebhook(provider, req, { replay: !!replayOf });
+  } catch (error) {
+    logger.error(`${provider.label} webhook handler error:`, error);
+    outcome = { status: 500, decision: 'error', reason: error.message, body: { error: 'Internal server error' } };
+  }
+
+  try {
+    const deliveryId = await saveWebhookDelivery({
+      provider: provider.name,
+      event: provider.getEvent(req),
+      headers: redactHeaders(req.headers),
+      payload: req.body,
+      projectId: outcome.dbProject?.id,
+      projectName: outcome.dbProject?.name,
+      authenticated: outcome.authenticated,
+      decision: outcome.decision,
+      reason: outcome.reason || outcome.body.message || outcome.body.error,
+      statusCode: outcome.status,
+      deploymentIds: outcome.deploymentIds,
+      replayOf,
+    });
+    outcome.deliveryId = deliveryId;
+    await pruneWebhookDeliveries(parseInt(process.env.WEBHOOK_DELIVERIES_KEEP) || 1000);
+  } catch (error) {
+    logger.error('Error recording webhook delivery:', error);
+  }
+
+  return outcome;
+}
+
+/**
+ * Run a stored delivery again, e.g. after fixing the project configuration
+ */
+async function replayDelivery(delivery) {
+  const provider = getProvider(delivery.provider);
+  if (!provider) {
+    throw new Error(`Unknown webhook provider: ${delivery.provider}`);
+  }
+
+  const headers = JSON.parse(delivery.headers || '{}');
+  const req = {
+    headers,
+    body: JSON.parse(delivery.payload || 'null'),
+    rawBody: null,
+  };
+
+  logger.info(`Replaying webhook delivery ${delivery.id} (${provider.label} ${delivery.event})`);
+  return processWebhook(provider, req, { replayOf: delivery.id });
+}
+
+module.exports = {
+  processWebhook,
+  replayDelivery,
+  redactHeaders,
+};
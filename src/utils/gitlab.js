@@ -0,0 +1,119 @@
+const logger = require('./logger');
+
+/**
+ * GitLab API
+ * Commit statuses and environments for deployed commits
+ *
+ * GITLAB_URL points at the GitLab instance (default https://gitlab.com),
+ * e.g. http://localhost:4010 for scripts/mock-gitlab-api.js
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getGitLabApiBase() {
+  return `${(process.env.GITLAB_URL || 'https://gitlab.com').replace(/\/$/, '')}/api/v4`;
+}
+
+/**
+ * Make GitLab API request
+ */
+async function gitlabRequest(endpoint, method = 'GET', data = null) {
+  const token = process.env.GITLAB_ACCESS_TOKEN;
+
+  if (!token) {
+    throw new Error('GITLAB_ACCESS_TOKEN not set');
+  }
+
+  const options = {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  };
+
+  if (data && method !== 'GET') {
+    options.body = JSON.stringify(data);
+  }
+
+  const response = await fetch(`${getGitLabApiBase()}${endpoint}`, options);
+  const text = await response.text();
+  const result = text ? JSON.parse(text) : null;
+
+  if (!response.ok) {
+    const message = result?.message || result?.error || response.statusText;
+    throw new Error(`GitLab API error ${response.status}: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+  }
+
+  return result;
+}
+
+/**
+ * Set the status of a commit (pending, running, success, failed, canceled)
+ */
+async function setCommitStatus(gitlabProjectId, sha, { state, name, ref, targetUrl, description, environmentUrl }) {
+  const status = await gitlabRequest(
+    `/projects/${encodeURIComponent(gitlabProjectId)}/statuses/${sha}`,
+    'POST',
+    {
+      state,
+      name,
+      ref,
+      target_url: targetUrl,
+      description,
+      environment_url: environmentUrl,
+    }
+  );
+  logger.info(`GitLab commit status ${sha.substring(0, 8)} (${name}): ${state}`);
+  return status;
+}
+
+/**
+ * Create an environment, or update the URL of an existing one
+ */
+async function upsertEnvironment(gitlabProjectId, name, externalUrl) {
+  const projectPath = `/projects/${encodeURIComponent(gitlabProjectId)}`;
+  const environments = await gitlabRequest(`${projectPath}/environments?name=${encodeURIComponent(name)}`);
+  const existing = (environments || []).find(env => env.name === name);
+
+  if (existing) {
+    if (existing.external_url !== externalUrl) {
+      await gitlabRequest(`${projectPath}/environments/${existing.id}`, 'PUT', { external_url: externalUrl });
+      logger.info(`GitLab environment updated: ${name} -> ${externalUrl}`);
+    }
+    return { ...existing, external_url: externalUrl, action: 'updated' };
+  }
+
+  const created = await gitlabRequest(`${projectPath}/environments`, 'POST', { name, external_url: externalUrl });
+  logger.info(`GitLab environment created: ${name} -> ${externalUrl}`);
+  return { ...created, action: 'created' };
+}
+
+/**
+ * List the projects the access token is a member of
+ */
+async function listProjects() {
+  return gitlabRequest('/projects?membership=true&per_page=100');
+}
+
+/**
+ * Whether a repository is hosted on GitLab: on the GITLAB_URL instance,
+ * or on a host named after GitLab. Only GitLab sends pipeline events.
+ */
+function isGitLabRepo(repoUrl) {
+  const match = String(repoUrl || '').match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^:/]+)/i);
+  if (!match) {
+    return false;
+  }
+  const host = match[1].toLowerCase();
+  return host === new URL(process.env.GITLAB_URL || 'https://gitlab.com').hostname || host.includes('gitlab');
+}
+
+module.exports = {
+  isGitLabRepo,
+  gitlabRequest,
+  setCommitStatus,
+  upsertEnvironment,
+  listProjects,
+};
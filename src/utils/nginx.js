@@ -9,17 +9,75 @@ const execAsync = promisify(exec);
 const NGINX_SITES_AVAILABLE = '/etc/nginx/sites-available';
 const NGINX_SITES_ENABLED = '/etc/nginx/sites-enabled';
 
+// The try_files line of a static site's catch-all location
+const STATIC_TRY_FILES = /(location \/ \{\s*try_files )[^;]+;/;
+
+/**
+ * try_files fallback of a static site: single-page apps serve index.html
+ * for unknown paths
+ */
+function staticTryFiles(spa) {
+  return spa ? '$uri $uri/ /index.html' : '$uri $uri/ =404';
+}
+
 /**
- * Generate nginx configuration for a domain
+ * Server block serving a static site release from disk
  */
-async function generateNginxConfig(domain, port, containerName) {
+function staticServerBlock(domain, root, spa) {
+  return `server {
+    listen 80;
+    listen [::]:80;
+    server_name ${domain};
+
+    root ${root};
+    index index.html;
+    # Releases only hold regular files; never follow a link out of them
+    disable_symlinks on;
+
+    gzip on;
+    gzip_vary on;
+    gzip_min_length 1024;
+    gzip_proxied any;
+    gzip_types text/plain text/css text/xml application/javascript application/json application/xml application/manifest+json image/svg+xml application/wasm;
+
+    # HTML is revalidated so new releases show up immediately
+    location / {
+        try_files ${staticTryFiles(spa)};
+        add_header Cache-Control "no-cache";
+    }
+
+    # Hashed build output (Vite assets/, Create React App static/)
+    location ~ ^/(assets|static)/ {
+        try_files $uri =404;
+        add_header Cache-Control "public, max-age=31536000, immutable";
+    }
+
+    location ~* \\.(?:css|js|mjs|map|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf|wasm)$ {
+        try_files $uri =404;
+        add_header Cache-Control "public, max-age=3600";
+    }
+
+    # Certbot will add SSL configuration here
+    # Note: SSL is not enabled until certbot runs successfully
+}
+`;
+}
+
+/**
+ * Generate nginx configuration for a domain. Containers are proxied on
+ * `port`; static sites pass `root`, the release directory to serve.
+ */
+async function generateNginxConfig(domain, port, containerName, { root = null, spa = true } = {}) {
   // Use domain as upstream name (unique per deployment)
   const upstreamName = domain.replace(/\./g, '_').replace(/-/g, '_');
+  const source = root ? `Static site: ${containerName}` : `Container: ${containerName}`;
   
-  const configContent = `# Auto-generated by Vellaric-Signal
-# Container: ${containerName}
+  const header = `# Auto-generated by Vellaric-Signal
+# ${source}
 # Generated: ${new Date().toISOString()}
+`;
 
+  const configContent = root ? `${header}\n${staticServerBlock(domain, root, spa)}` : `${header}
 upstream ${upstreamName} {
     server 127.0.0.1:${port};
     keepalive 64;
@@ -53,21 +111,38 @@ server {
   const enabledPath = path.join(NGINX_SITES_ENABLED, domain);
 
   try {
-    // Check if SSL is already configured
-    let existingSSL = '';
+    let existingConfig = null;
     try {
-      const existingConfig = await fs.readFile(configPath, 'utf8');
-      // Extract SSL configuration if it exists (lines added by certbot)
-      const sslMatch = existingConfig.match(/\n\s*listen.*443 ssl.*\n[\s\S]*?# managed by Certbot[\s\S]*?(?=\nserver\s*{|$)/);
-      if (sslMatch) {
-        existingSSL = sslMatch[0];
-        logger.info(`Preserving existing SSL configuration for ${domain}`);
-      }
+      existingConfig = await fs.readFile(configPath, 'utf8');
     } catch (err) {
       // No existing config or can't read it
     }
 
-    // Write fresh config without old SSL - let certbot re-add it
+    // Config already exists: only switch the upstream server (or the root
+    // of a static site) so the SSL setup added by certbot stays in place
+    // and traffic moves over on reload
+    const upstreamServer = new RegExp(`(upstream ${upstreamName} \\{\\s*server 127\\.0\\.0\\.1:)\\d+;`);
+    const switches = root
+      ? [[/^(\s*root )\S+;$/m, `$1${root};`], [STATIC_TRY_FILES, `$1${staticTryFiles(spa)};`]]
+      : [[upstreamServer, `$1${port};`]];
+    if (existingConfig && switches.every(([pattern]) => pattern.test(existingConfig))) {
+      const switchedConfig = switches
+        .reduce((config, [pattern, replacement]) => config.replace(pattern, replacement), existingConfig)
+        .replace(/^# (Container|Static site): .*$/m, `# ${source}`)
+        .replace(/^# Generated: .*$/m, `# Generated: ${new Date().toISOString()}`);
+
+      await fs.writeFile(configPath, switchedConfig);
+      try {
+        await execAsync('nginx -t');
+      } catch (testError) {
+        await fs.writeFile(configPath, existingConfig);
+        throw testError;
+      }
+      logger.info(root ? `Nginx root for ${domain} switched to ${root}` : `Nginx upstream for ${domain} switched to port ${port}`);
+      return;
+    }
+
+    // Write fresh config - certbot adds SSL afterwards
     let finalConfig = configContent;
     
     // Remove old symlink
@@ -2,13 +2,21 @@ const crypto = require('crypto');
 const logger = require('./logger');
 
 /**
- * Verify GitLab webhook signature
+ * Compare two secrets in constant time. Both sides are hashed first so
+ * that neither their contents nor their lengths leak through timing.
  */
-function verifyWebhookSignature(receivedToken) {
-  const expectedToken = process.env.GITLAB_WEBHOOK_SECRET;
+function timingSafeCompare(received, expected) {
+  const a = crypto.createHash('sha256').update(String(received)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
 
+/**
+ * Verify GitLab webhook token (X-Gitlab-Token)
+ */
+function verifyWebhookSignature(receivedToken, expectedToken) {
   if (!expectedToken) {
-    logger.warn('GITLAB_WEBHOOK_SECRET not configured');
+    logger.warn('No webhook secret configured');
     return false;
   }
 
@@ -17,8 +25,21 @@ function verifyWebhookSignature(receivedToken) {
     return false;
   }
 
-  // Simple token comparison
-  return receivedToken === expectedToken;
+  return timingSafeCompare(receivedToken, expectedToken);
+}
+
+/**
+ * Verify an HMAC-SHA256 signature of a raw request body, as sent by
+ * GitHub (`sha256=<hex>`), Gitea/Forgejo (`<hex>`) and Bitbucket
+ */
+function verifyHmacSignature(rawBody, signatureHeader, secret, prefix = '') {
+  if (!signatureHeader || !rawBody) {
+    logger.warn('No webhook signature received');
+    return false;
+  }
+
+  const expected = `${prefix}${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  return timingSafeCompare(signatureHeader, expected);
 }
 
 /**
@@ -28,7 +49,67 @@ function generateWebhookToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+// Prefix of values encrypted by encryptText, so plain values stay readable
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Key for values encrypted at rest: ENCRYPTION_KEY, else the session
+ * secret. Values encrypted with an earlier key can no longer be read.
+ */
+function getEncryptionKey() {
+  const secret = process.env.ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) {
+    logger.warn('Neither ENCRYPTION_KEY nor SESSION_SECRET is set; stored secrets use the default key');
+  }
+  return crypto.createHash('sha256')
+    .update(`vellaric-encryption:${secret || 'vellaric-signal-secret-change-in-production'}`)
+    .digest();
+}
+
+/**
+ * Encrypt a value for storage in the database (AES-256-GCM)
+ */
+function encryptText(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+}
+
+/**
+ * Decrypt a value from encryptText. Values stored before encryption are
+ * returned as they are; throws when the key does not match.
+ */
+function decryptText(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Check that a commit SHA, tag or branch name is safe to pass to git
+ */
+function isValidGitRef(ref) {
+  return typeof ref === 'string'
+    && /^[A-Za-z0-9_][A-Za-z0-9_./-]*$/.test(ref)
+    && !ref.includes('..');
+}
+
 module.exports = {
+  timingSafeCompare,
   verifyWebhookSignature,
+  verifyHmacSignature,
   generateWebhookToken,
+  encryptText,
+  decryptText,
+  isEncrypted,
+  isValidGitRef,
 };
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// apps.js loads the database; keep it out of the working tree
+process.env.DATABASE_PATH = ':memory:';
+const { normalizeRepoPath, globToRegExp, resolveApp, getAffectedApps } = require('../src/services/apps');
+
+describe('normalizeRepoPath', () => {
+  it('strips leading and trailing slashes', () => {
+    assert.equal(normalizeRepoPath('./services/api/'), 'services/api');
+    assert.equal(normalizeRepoPath('/web'), 'web');
+    assert.equal(normalizeRepoPath(''), '.');
+    assert.equal(normalizeRepoPath(null), '.');
+  });
+});
+
+describe('globToRegExp', () => {
+  const matches = (pattern, file) => globToRegExp(pattern).test(file);
+
+  it('matches a directory and everything below it', () => {
+    assert.ok(matches('services/api', 'services/api'));
+    assert.ok(matches('services/api', 'services/api/src/index.js'));
+    assert.ok(!matches('services/api', 'services/api-gateway/index.js'));
+  });
+
+  it('keeps * and ? within one directory', () => {
+    assert.ok(matches('src/*.js', 'src/index.js'));
+    assert.ok(!matches('src/*.js', 'src/lib/util.js'));
+    assert.ok(!matches('*.js', 'src/index.js'));
+    assert.ok(matches('v?/app', 'v1/app'));
+    assert.ok(!matches('v?/app', 'v10/app'));
+  });
+
+  it('lets ** match across directories', () => {
+    assert.ok(matches('**/package.json', 'package.json'));
+    assert.ok(matches('**/package.json', 'apps/web/package.json'));
+    assert.ok(!matches('**/package.json', 'apps/web/package.json.bak'));
+    assert.ok(matches('web/**', 'web/src/App.jsx'));
+    assert.ok(!matches('web/**', 'webapp/index.js'));
+  });
+
+  it('treats other characters literally', () => {
+    assert.ok(matches('docs/v1.0', 'docs/v1.0/index.md'));
+    assert.ok(!matches('docs/v1.0', 'docs/v1x0/index.md'));
+    assert.ok(matches('lib/(legacy)', 'lib/(legacy)/a.js'));
+  });
+});
+
+describe('resolveApp', () => {
+  it('fills in the Dockerfile and watch path of the context directory', () => {
+    assert.deepEqual(resolveApp({ name: 'api', context: './services/api/' }), {
+      name: 'api',
+      context: 'services/api',
+      dockerfile: 'services/api/Dockerfile',
+      subdomain: null,
+      watchPaths: ['services/api/**'],
+    });
+  });
+
+  it('keeps explicit settings', () => {
+    const app = resolveApp({ name: 'web', context: '.', dockerfile: 'docker/web.Dockerfile', subdomain: 'www', watch_paths: 'web, shared/ ,' });
+    assert.equal(app.dockerfile, 'docker/web.Dockerfile');
+    assert.equal(app.subdomain, 'www');
+    assert.deepEqual(app.watchPaths, ['web', 'shared']);
+  });
+});
+
+describe('getAffectedApps', () => {
+  const apps = [
+    resolveApp({ name: 'api', context: 'services/api', watch_paths: 'services/api,shared' }),
+    resolveApp({ name: 'web', context: 'web' }),
+  ];
+  const names = (changedFiles) => getAffectedApps(apps, changedFiles).map(app => app.name);
+
+  it('picks the apps whose watch paths match a changed file', () => {
+    assert.deepEqual(names(['services/api/index.js']), ['api']);
+    assert.deepEqual(names(['web/src/App.jsx', 'README.md']), ['web']);
+    assert.deepEqual(names(['shared/types.ts', 'web/index.html']), ['api', 'web']);
+  });
+
+  it('deploys nothing when no app changed', () => {
+    assert.deepEqual(names(['README.md']), []);
+    assert.deepEqual(names([]), []);
+  });
+
+  it('deploys every app when the changed files are unknown', () => {
+    assert.deepEqual(names(null), ['api', 'web']);
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { detectBuildpack } = require('../src/services/buildpacks');
+const node = require('../src/services/buildpacks/node');
+const python = require('../src/services/buildpacks/python');
+const go = require('../src/services/buildpacks/go');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vellaric-buildpack-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write files into the build context; objects are written as JSON
+ */
+async function write(files) {
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.join(dir, path.dirname(name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+/**
+ * detect() must fail with a buildpack error matching `message`
+ */
+async function assertBuildpackError(buildpack, message) {
+  await assert.rejects(buildpack.detect(dir), (error) => {
+    assert.equal(error.buildpack, true);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('detectBuildpack', () => {
+  it('returns null for unknown stacks', async () => {
+    await write({ 'README.md': '# hello' });
+    assert.equal(await detectBuildpack(dir), null);
+  });
+
+  it('prefers Node.js over a plain index.html', async () => {
+    await write({ 'package.json': { scripts: { start: 'node server.js' } }, 'index.html': '<h1>hi</h1>' });
+    const plan = await detectBuildpack(dir);
+    assert.equal(plan.name, 'node');
+    assert.equal(plan.label, 'Node.js');
+  });
+
+  it('serves a plain index.html with nginx', async () => {
+    await write({ 'index.html': '<h1>hi</h1>' });
+    const plan = await detectBuildpack(dir);
+    assert.equal(plan.name, 'static');
+    assert.match(plan.dockerfile, /^FROM nginx:alpine$/m);
+  });
+});
+
+describe('node', () => {
+  it('returns null without package.json', async () => {
+    assert.equal(await node.detect(dir), null);
+  });
+
+  it('starts apps with npm start', async () => {
+    await write({ 'package.json': { scripts: { start: 'node server.js', build: 'tsc' }, engines: { node: '>=20' } }, 'package-lock.json': '{}' });
+    const plan = await node.detect(dir);
+    assert.equal(plan.summary, 'npm, node 20, npm start');
+    assert.match(plan.dockerfile, /^FROM node:20-alpine$/m);
+    assert.match(plan.dockerfile, /^COPY package\.json package-lock\.json \.\/$/m);
+    assert.match(plan.dockerfile, /^RUN npm ci$/m);
+    assert.match(plan.dockerfile, /^RUN npm run build$/m);
+    assert.match(plan.dockerfile, /^CMD \["npm","start"\]$/m);
+  });
+
+  it('uses the package manager of the lockfile', async () => {
+    await write({ 'package.json': { scripts: { start: 'next start' } }, 'pnpm-lock.yaml': '', '.nvmrc': 'v18.19.0' });
+    const plan = await node.detect(dir);
+    assert.equal(plan.summary, 'pnpm, node 18, pnpm start');
+    assert.match(plan.dockerfile, /^RUN corepack enable$/m);
+    assert.match(plan.dockerfile, /^RUN pnpm install --frozen-lockfile$/m);
+  });
+
+  it('runs an entry file without a start script', async () => {
+    await write({ 'package.json': {}, 'index.js': '' });
+    const plan = await node.detect(dir);
+    assert.match(plan.dockerfile, /^CMD \["node","index\.js"\]$/m);
+    assert.match(plan.dockerfile, /^EXPOSE 3000$/m);
+  });
+
+  it('serves frontend builds with nginx', async () => {
+    await write({ 'package.json': { scripts: { build: 'vite build' }, devDependencies: { vite: '^5' } }, 'yarn.lock': '' });
+    const plan = await node.detect(dir);
+    assert.equal(plan.summary, 'yarn, node 22, vite build served by nginx');
+    assert.match(plan.dockerfile, /^FROM node:22-alpine AS build$/m);
+    assert.match(plan.dockerfile, /^RUN yarn build$/m);
+    assert.match(plan.dockerfile, /^COPY --from=build \/app\/dist \/usr\/share\/nginx\/html$/m);
+  });
+
+  it('fails for apps it cannot start', async () => {
+    await write({ 'package.json': { scripts: { test: 'jest' } } });
+    await assertBuildpackError(node, /no way to start the app/);
+  });
+
+  it('fails for invalid package.json', async () => {
+    await write({ 'package.json': '{ "name": ' });
+    await assertBuildpackError(node, /package\.json is not valid JSON/);
+  });
+});
+
+describe('python', () => {
+  it('returns null without requirements.txt or pyproject.toml', async () => {
+    assert.equal(await python.detect(dir), null);
+  });
+
+  it('serves Flask apps with gunicorn', async () => {
+    await write({ 'requirements.txt': 'Flask==3.0\n', 'app.py': '', '.python-version': '3.11.4' });
+    const plan = await python.detect(dir);
+    assert.equal(plan.summary, 'python 3.11, Flask');
+    assert.match(plan.dockerfile, /^FROM python:3\.11-slim$/m);
+    assert.match(plan.dockerfile, /^RUN pip install --no-cache-dir -r requirements\.txt$/m);
+    assert.match(plan.dockerfile, /^RUN pip install --no-cache-dir gunicorn$/m);
+    assert.match(plan.dockerfile, /^CMD \["gunicorn","--bind","0\.0\.0\.0:8000","app:app"\]$/m);
+  });
+
+  it('serves FastAPI apps with uvicorn', async () => {
+    await write({ 'pyproject.toml': '[project]\ndependencies = ["fastapi", "uvicorn"]\n', 'main.py': '' });
+    const plan = await python.detect(dir);
+    assert.equal(plan.summary, 'python 3.12, FastAPI');
+    assert.match(plan.dockerfile, /^RUN pip install --no-cache-dir \.$/m);
+    assert.doesNotMatch(plan.dockerfile, /pip install --no-cache-dir uvicorn/);
+    assert.match(plan.dockerfile, /^CMD \["uvicorn","main:app","--host","0\.0\.0\.0","--port","8000"\]$/m);
+  });
+
+  it('finds the Django project next to manage.py', async () => {
+    await write({ 'requirements.txt': 'django\ngunicorn\n', 'manage.py': '', 'shop/wsgi.py': '' });
+    const plan = await python.detect(dir);
+    assert.equal(plan.summary, 'python 3.12, Django');
+    assert.match(plan.dockerfile, /"shop\.wsgi:application"/);
+  });
+
+  it('prefers the web command of a Procfile', async () => {
+    await write({ 'requirements.txt': 'flask\n', 'app.py': '', Procfile: 'web: gunicorn -w 4 app:app\n' });
+    const plan = await python.detect(dir);
+    assert.match(plan.dockerfile, /^CMD \["sh","-c","gunicorn -w 4 app:app"\]$/m);
+  });
+
+  it('fails without an entry point', async () => {
+    await write({ 'requirements.txt': 'requests\n' });
+    await assertBuildpackError(python, /no entry point/);
+  });
+});
+
+describe('go', () => {
+  it('returns null without go.mod', async () => {
+    assert.equal(await go.detect(dir), null);
+  });
+
+  it('builds the main package of the repository root', async () => {
+    await write({ 'go.mod': 'module example.com/app\n\ngo 1.22.1\n', 'go.sum': '', 'main.go': 'package main\n' });
+    const plan = await go.detect(dir);
+    assert.equal(plan.summary, 'go 1.22, builds .');
+    assert.match(plan.dockerfile, /^FROM golang:1\.22-alpine AS build$/m);
+    assert.match(plan.dockerfile, /^COPY go\.mod go\.sum \.\/$/m);
+    assert.match(plan.dockerfile, /^RUN CGO_ENABLED=0 go build -o \/out\/app \.$/m);
+  });
+
+  it('builds the first command under cmd/', async () => {
+    await write({
+      'go.mod': 'module example.com/app\n',
+      'lib.go': 'package app\n',
+      'cmd/worker/main.go': 'package main\n',
+      'cmd/api/main.go': 'package main\n',
+      'cmd/api/main_test.go': 'package main\n',
+    });
+    const plan = await go.detect(dir);
+    assert.equal(plan.summary, 'go 1, builds ./cmd/api');
+    assert.match(plan.dockerfile, /^COPY go\.mod \.\/$/m);
+  });
+
+  it('fails without a main package', async () => {
+    await write({ 'go.mod': 'module example.com/lib\n', 'lib.go': 'package lib\n' });
+    await assertBuildpackError(go, /no main package/);
+  });
+});
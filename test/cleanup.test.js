@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// cleanup.js loads the database; keep it out of the working tree
+process.env.DATABASE_PATH = ':memory:';
+const { getBranchSubdomain } = require('../src/services/cleanup');
+
+describe('getBranchSubdomain', () => {
+  it('serves main and master on the base subdomain', () => {
+    assert.equal(getBranchSubdomain('shop', 'main'), 'shop');
+    assert.equal(getBranchSubdomain('shop', 'master'), 'shop');
+  });
+
+  it('gives every other branch and preview its own subdomain', () => {
+    assert.equal(getBranchSubdomain('shop', 'dev'), 'shop-dev');
+    assert.equal(getBranchSubdomain('shop', 'production'), 'shop-production');
+    assert.equal(getBranchSubdomain('shop', 'staging'), 'shop-staging');
+    assert.equal(getBranchSubdomain('shop', 'mr-42'), 'shop-mr-42');
+  });
+
+  it('turns branch names into a valid DNS label', () => {
+    assert.equal(getBranchSubdomain('shop', 'Feature/Login_form'), 'shop-feature-login-form');
+    const subdomain = getBranchSubdomain('shop', `release-${'x'.repeat(80)}`);
+    assert.equal(subdomain.length, 63);
+    assert.match(subdomain, /^shop-release-x+$/);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCompose } = require('../src/services/manifest');
+
+describe('validateCompose', () => {
+  it('accepts stacks built from the repository with named volumes', () => {
+    assert.deepEqual(validateCompose({
+      services: {
+        web: { build: { context: 'services/web', dockerfile: 'Dockerfile' }, env_file: '.env.shared', depends_on: ['db'] },
+        worker: { build: '.', network_mode: 'service:web', volumes_from: ['web'] },
+        db: { image: 'postgres:16', volumes: ['pgdata:/var/lib/postgresql/data', '/tmp/scratch'] },
+      },
+      volumes: { pgdata: null },
+    }), []);
+  });
+
+  it('rejects a file that is not a mapping', () => {
+    assert.deepEqual(validateCompose(null), ['must be a mapping']);
+  });
+
+  it('rejects host access', () => {
+    assert.deepEqual(validateCompose({
+      services: {
+        web: { image: 'nginx', privileged: true, cap_add: ['SYS_ADMIN'], network_mode: 'host', pid: 'host' },
+      },
+    }), [
+      'services.web.privileged: not allowed',
+      'services.web.cap_add: not allowed',
+      'services.web.network_mode: may only be shared with another service of the stack',
+      'services.web.pid: may only be shared with another service of the stack',
+    ]);
+  });
+
+  it('rejects host paths in volumes', () => {
+    assert.deepEqual(validateCompose({
+      services: {
+        web: {
+          image: 'nginx',
+          volumes: ['./html:/usr/share/nginx/html', '${HOME}:/data', { type: 'bind', source: '/', target: '/host' }],
+          volumes_from: ['container:other'],
+        },
+      },
+      volumes: { data: { driver_opts: { type: 'none', o: 'bind', device: '/' } }, shared: { external: true } },
+    }), [
+      'services.web.volumes[0]: host paths are not allowed, use a named volume',
+      'services.web.volumes[1]: host paths are not allowed, use a named volume',
+      'services.web.volumes[2]: host paths are not allowed, use a named volume',
+      'services.web.volumes_from[0]: may only name a service of the stack',
+      'volumes.data.driver_opts: not allowed',
+      'volumes.shared.external: not allowed',
+    ]);
+  });
+
+  it('keeps files and build contexts inside the repository', () => {
+    assert.deepEqual(validateCompose({
+      include: ['../other.yml'],
+      services: {
+        web: { build: { context: '..' }, env_file: ['/etc/environment'] },
+        api: { build: { context: 'api', dockerfile: '../../Dockerfile' }, extends: { file: 'base.yml', service: 'web' } },
+      },
+      secrets: { key: { file: '/etc/ssl/private/key.pem' } },
+    }), [
+      'include: including other compose files is not supported',
+      'services.web.build.context: must be a path inside the repository',
+      'services.web.env_file: must be a path inside the repository',
+      'services.api.build.dockerfile: must be a path inside the repository',
+      'services.api.extends.file: extending services from other files is not supported',
+      'secrets.key.file: must be a path inside the repository',
+    ]);
+  });
+});
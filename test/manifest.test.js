@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { validateManifest, defaultManifest, loadManifest } = require('../src/services/manifest');
+
+describe('validateManifest', () => {
+  it('returns the defaults for an empty file', () => {
+    assert.deepEqual(validateManifest(null), { manifest: defaultManifest(), errors: [] });
+  });
+
+  it('rejects documents that are not a mapping', () => {
+    assert.deepEqual(validateManifest(['port', 8080]).errors, ['manifest must be a mapping of settings']);
+  });
+
+  it('normalizes a complete manifest', () => {
+    const { manifest, errors } = validateManifest({
+      dockerfile: './docker/Dockerfile',
+      context: 'services/api',
+      buildkit: true,
+      port: 8080,
+      healthcheck: { path: '/healthz', expected_status: 204, timeout: 2, successes: 2 },
+      resources: { memory: '512M', cpus: 0.5 },
+      volumes: ['uploads:/app/uploads', 'cache:/tmp/cache:ro'],
+      domains: { production: 'App.Example.com' },
+      pre_deploy: 'npm run migrate',
+      post_deploy: ['node warm.js'],
+      static: { output: 'dist', spa: false },
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(manifest.dockerfile, 'docker/Dockerfile');
+    assert.equal(manifest.context, 'services/api');
+    assert.equal(manifest.port, 8080);
+    assert.deepEqual(manifest.healthcheck.expectedStatus, [204]);
+    assert.equal(manifest.healthcheck.successes, 2);
+    assert.equal(manifest.resources.memory, '512m');
+    assert.deepEqual(manifest.volumes, [
+      { name: 'uploads', target: '/app/uploads', readOnly: false },
+      { name: 'cache', target: '/tmp/cache', readOnly: true },
+    ]);
+    assert.deepEqual(manifest.domains, { production: 'app.example.com' });
+    assert.deepEqual(manifest.preDeploy, ['npm run migrate']);
+    assert.deepEqual(manifest.postDeploy, ['node warm.js']);
+    assert.equal(manifest.static.output, 'dist');
+    assert.equal(manifest.static.spa, false);
+  });
+
+  it('reports unknown settings', () => {
+    const { errors } = validateManifest({ prot: 80, healthcheck: { pth: '/' } });
+    assert.deepEqual(errors, ['prot: unknown setting', 'healthcheck.pth: unknown setting']);
+  });
+
+  it('keeps paths inside the repository', () => {
+    const { manifest, errors } = validateManifest({ dockerfile: '../Dockerfile', context: '/etc' });
+    assert.deepEqual(errors, [
+      'dockerfile: must be a relative path inside the repository',
+      'context: must be a relative path inside the repository',
+    ]);
+    assert.equal(manifest.dockerfile, 'Dockerfile');
+    assert.equal(manifest.context, '.');
+  });
+
+  it('only allows named volumes', () => {
+    const { errors } = validateManifest({ volumes: ['/var/run/docker.sock:/var/run/docker.sock', './data:/data'] });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /host paths are not allowed/);
+  });
+
+  it('rejects shell metacharacters in volume targets', () => {
+    const { manifest, errors } = validateManifest({
+      volumes: ['data:/x;touch${IFS}/tmp/pwn;#', 'data:/x$(id)', 'data:/x`id`', "data:/x'y", 'data:/x y'],
+    });
+    assert.equal(errors.length, 5);
+    assert.deepEqual(manifest.volumes, []);
+  });
+
+  it('rejects invalid values', () => {
+    const { errors } = validateManifest({
+      port: 70000,
+      buildkit: 'yes',
+      healthcheck: { path: 'healthz', expected_status: 700 },
+      resources: { memory: 'lots' },
+      domains: { production: 'not a domain' },
+      pre_deploy: [''],
+      service: 'api server',
+    });
+    assert.deepEqual(errors, [
+      'buildkit: must be true or false',
+      'port: must be an integer between 1 and 65535',
+      'healthcheck.path: must be a URL path starting with /',
+      'healthcheck.expected_status: must be an HTTP status code or a list of them',
+      'resources.memory: must be a size such as 512m or 1g',
+      'domains.production: must be a valid domain name',
+      'pre_deploy: must be a command or a list of commands',
+      'service: must be the name of a compose service',
+    ]);
+  });
+});
+
+describe('loadManifest', () => {
+  it('reads vellaric.yml and reports its errors', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vellaric-manifest-'));
+    try {
+      assert.deepEqual(await loadManifest(dir), { file: null, manifest: defaultManifest() });
+
+      await fs.writeFile(path.join(dir, 'vellaric.yml'), 'port: 8080\n');
+      const { file, manifest } = await loadManifest(dir);
+      assert.equal(file, 'vellaric.yml');
+      assert.equal(manifest.port, 8080);
+
+      await fs.writeFile(path.join(dir, 'vellaric.yml'), 'port: none\n');
+      await assert.rejects(loadManifest(dir), (error) => {
+        assert.equal(error.message, 'Invalid vellaric.yml: 1 error');
+        assert.deepEqual(error.errors, ['port: must be an integer between 1 and 65535']);
+        return true;
+      });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
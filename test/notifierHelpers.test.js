@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateHost, isUrlOnHost, assertPublicUrl } = require('../src/services/notifiers/helpers');
+const slack = require('../src/services/notifiers/slack');
+const discord = require('../src/services/notifiers/discord');
+const webhook = require('../src/services/notifiers/webhook');
+
+describe('isPrivateHost', () => {
+  it('rejects loopback hosts', () => {
+    for (const url of ['https://localhost/', 'https://app.localhost/', 'https://127.0.0.1/', 'https://127.8.0.1/', 'https://[::1]/']) {
+      assert.equal(isPrivateHost(url), true, url);
+    }
+  });
+
+  it('rejects RFC 1918, link-local and shared addresses', () => {
+    for (const url of ['https://10.0.0.1/', 'https://172.16.5.4/', 'https://172.31.255.255/', 'https://192.168.1.1/', 'https://169.254.169.254/latest/meta-data/', 'https://100.64.0.1/', 'https://0.0.0.0/']) {
+      assert.equal(isPrivateHost(url), true, url);
+    }
+  });
+
+  it('rejects IPv6 unique local and link-local addresses', () => {
+    for (const url of ['https://[fd00::1]/', 'https://[fc12:3456::1]/', 'https://[fe80::1]/']) {
+      assert.equal(isPrivateHost(url), true, url);
+    }
+  });
+
+  it('rejects IPv4-mapped IPv6 addresses and other IPv4 spellings', () => {
+    for (const url of ['https://[::ffff:127.0.0.1]/', 'https://[::ffff:169.254.169.254]/', 'https://[::ffff:a00:1]/', 'https://2130706433/', 'https://0x7f.1/']) {
+      assert.equal(isPrivateHost(url), true, url);
+    }
+  });
+
+  it('accepts public hosts', () => {
+    for (const url of ['https://hooks.example.com/x', 'https://8.8.8.8/', 'https://172.32.0.1/', 'https://[::ffff:8.8.8.8]/', 'https://[2606:4700::1111]/']) {
+      assert.equal(isPrivateHost(url), false, url);
+    }
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it('refuses private addresses before sending', async () => {
+    await assert.rejects(assertPublicUrl('https://127.0.0.1/hook'), (error) => {
+      assert.equal(error.retryable, false);
+      assert.match(error.message, /private address/);
+      return true;
+    });
+    await assert.rejects(assertPublicUrl('https://[::ffff:10.1.2.3]/hook'), /private address/);
+  });
+
+  it('refuses names that resolve to a private address', async () => {
+    await assert.rejects(assertPublicUrl('https://localhost/hook'), /private address/);
+  });
+});
+
+describe('isUrlOnHost', () => {
+  it('matches the exact host only', () => {
+    assert.equal(isUrlOnHost('https://hooks.slack.com/services/x', ['hooks.slack.com']), true);
+    assert.equal(isUrlOnHost('https://hooks.slack.com.evil.io/services/x', ['hooks.slack.com']), false);
+    assert.equal(isUrlOnHost('https://hooks.slack.com@10.0.0.1/', ['hooks.slack.com']), false);
+    assert.equal(isUrlOnHost('not a url', ['hooks.slack.com']), false);
+  });
+});
+
+describe('validateTarget', () => {
+  it('keeps Slack and Discord channels on their webhook hosts', () => {
+    assert.equal(slack.validateTarget('https://hooks.slack.com/services/T0/B0/x'), null);
+    assert.notEqual(slack.validateTarget('https://169.254.169.254/'), null);
+    assert.notEqual(slack.validateTarget('http://hooks.slack.com/services/x'), null);
+    assert.equal(discord.validateTarget('https://discord.com/api/webhooks/1/x'), null);
+    assert.equal(discord.validateTarget('https://discordapp.com/api/webhooks/1/x'), null);
+    assert.notEqual(discord.validateTarget('https://10.0.0.1/api/webhooks/1/x'), null);
+  });
+
+  it('refuses private webhook targets', () => {
+    assert.equal(webhook.validateTarget('https://hooks.example.com/deploys'), null);
+    assert.notEqual(webhook.validateTarget('https://192.168.0.10/deploys'), null);
+    assert.notEqual(webhook.validateTarget('https://[fd00::1]/deploys'), null);
+    assert.notEqual(webhook.validateTarget('http://hooks.example.com/deploys'), null);
+  });
+});
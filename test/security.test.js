@@ -0,0 +1,105 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+const {
+  timingSafeCompare,
+  verifyWebhookSignature,
+  verifyHmacSignature,
+  encryptText,
+  decryptText,
+  isEncrypted,
+  isValidGitRef,
+} = require('../src/utils/security');
+
+describe('timingSafeCompare', () => {
+  it('compares secrets of any length without throwing', () => {
+    assert.equal(timingSafeCompare('secret', 'secret'), true);
+    assert.equal(timingSafeCompare('secret', 'secreT'), false);
+    assert.equal(timingSafeCompare('short', 'a much longer secret'), false);
+    assert.equal(timingSafeCompare('', 'secret'), false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  it('requires both a configured and a received token', () => {
+    assert.equal(verifyWebhookSignature('token', 'token'), true);
+    assert.equal(verifyWebhookSignature('token', null), false);
+    assert.equal(verifyWebhookSignature(undefined, 'token'), false);
+  });
+});
+
+describe('verifyHmacSignature', () => {
+  const body = Buffer.from('{"ref":"refs/heads/main"}');
+  const signature = `sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`;
+
+  it('accepts the signature of the raw body', () => {
+    assert.equal(verifyHmacSignature(body, signature, 'secret', 'sha256='), true);
+  });
+
+  it('rejects mismatched signatures, including ones of another length', () => {
+    assert.equal(verifyHmacSignature(body, signature, 'other', 'sha256='), false);
+    assert.equal(verifyHmacSignature(body, 'sha256=abc', 'secret', 'sha256='), false);
+    assert.equal(verifyHmacSignature(body, `${signature}00`, 'secret', 'sha256='), false);
+    assert.equal(verifyHmacSignature(body, signature.slice('sha256='.length), 'secret', 'sha256='), false);
+    assert.equal(verifyHmacSignature(body, undefined, 'secret', 'sha256='), false);
+  });
+});
+
+describe('isValidGitRef', () => {
+  it('accepts commits, tags and branch names', () => {
+    for (const ref of ['a'.repeat(40), 'v1.2.0', 'main', 'feature/login-form', 'release_2024.1']) {
+      assert.equal(isValidGitRef(ref), true, ref);
+    }
+  });
+
+  it('rejects options, traversal and shell characters', () => {
+    for (const ref of ['--upload-pack=x', '-b', '../main', 'main..dev', 'main;id', 'a b', '$(id)', '', null]) {
+      assert.equal(isValidGitRef(ref), false, String(ref));
+    }
+  });
+});
+
+describe('encryptText', () => {
+  afterEach(() => {
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+  });
+
+  it('round-trips values', () => {
+    for (const value of ['', 'DATABASE_URL=postgres://u:p@db/app', 'ünïcödé\nmulti-line']) {
+      const encrypted = encryptText(value);
+      assert.ok(isEncrypted(encrypted));
+      assert.ok(encrypted.startsWith('enc:v1:'));
+      assert.equal(decryptText(encrypted), value);
+    }
+  });
+
+  it('uses a fresh IV for every value', () => {
+    assert.notEqual(encryptText('secret'), encryptText('secret'));
+  });
+
+  it('returns values stored before encryption as they are', () => {
+    assert.equal(isEncrypted('plain'), false);
+    assert.equal(decryptText('plain'), 'plain');
+    assert.equal(decryptText(null), null);
+  });
+
+  it('rejects tampered values', () => {
+    const [iv, tag, data] = encryptText('secret value').slice('enc:v1:'.length).split(':');
+    const flip = (part) => {
+      const bytes = Buffer.from(part, 'base64');
+      bytes[0] ^= 1;
+      return bytes.toString('base64');
+    };
+    assert.throws(() => decryptText(`enc:v1:${iv}:${tag}:${flip(data)}`));
+    assert.throws(() => decryptText(`enc:v1:${iv}:${flip(tag)}:${data}`));
+    assert.throws(() => decryptText(`enc:v1:${flip(iv)}:${tag}:${data}`));
+  });
+
+  it('rejects values encrypted with another key', () => {
+    const encrypted = encryptText('secret');
+    process.env.ENCRYPTION_KEY = 'another-key';
+    assert.throws(() => decryptText(encrypted));
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { findOutputDir, publishRelease } = require('../src/services/staticSites');
+
+let dir;
+let buildDir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vellaric-static-'));
+  buildDir = path.join(dir, 'build');
+  await fs.mkdir(path.join(buildDir, 'dist'), { recursive: true });
+  await fs.writeFile(path.join(buildDir, 'dist', 'index.html'), '<h1>hi</h1>');
+  await fs.mkdir(path.join(dir, 'outside'));
+  await fs.writeFile(path.join(dir, 'outside', 'index.html'), 'host file');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('findOutputDir', () => {
+  it('finds the build output with an index.html', async () => {
+    assert.equal(await findOutputDir(buildDir, {}, true), 'dist');
+    assert.equal(await findOutputDir(buildDir, { output: 'dist' }, true), 'dist');
+  });
+
+  it('rejects an output directory that is a symlink out of the build directory', async () => {
+    await fs.symlink(path.join(dir, 'outside'), path.join(buildDir, 'public'));
+    await assert.rejects(findOutputDir(buildDir, { output: 'public' }, true), /points outside the build directory/);
+  });
+});
+
+describe('publishRelease', () => {
+  it('skips symlinks, dotfiles and node_modules', async () => {
+    const output = path.join(buildDir, 'dist');
+    await fs.symlink(path.join(dir, 'outside', 'index.html'), path.join(output, 'leak.html'));
+    await fs.symlink(path.join(dir, 'outside'), path.join(output, 'assets'));
+    await fs.writeFile(path.join(output, '.env'), 'SECRET=1');
+    await fs.mkdir(path.join(output, 'node_modules'));
+    await fs.mkdir(path.join(output, '.well-known'));
+    await fs.writeFile(path.join(output, '.well-known', 'security.txt'), 'Contact: x');
+
+    const releasePath = path.join(dir, 'site', 'releases', 'r1');
+    await publishRelease(output, releasePath);
+
+    assert.deepEqual((await fs.readdir(releasePath)).sort(), ['.well-known', 'index.html']);
+    assert.equal(await fs.readFile(path.join(releasePath, 'index.html'), 'utf8'), '<h1>hi</h1>');
+  });
+});
@@ -0,0 +1,239 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { getProvider } = require('../src/services/webhookProviders');
+
+const SECRET = 'test-secret';
+const SHA = 'a'.repeat(40);
+const NULL_SHA = '0'.repeat(40);
+
+/**
+ * Request as the webhook route sees it: headers and the raw body
+ */
+function signedRequest(payload, header, prefix = '', headers = {}) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const signature = `${prefix}${crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex')}`;
+  return { headers: { ...headers, [header]: signature }, rawBody, body: payload };
+}
+
+function commits(count, files = ['src/index.js']) {
+  return Array.from({ length: count }, (_, i) => ({ id: `${i}`.repeat(40).slice(0, 40), message: `commit ${i}`, added: [], modified: files, removed: [] }));
+}
+
+describe('getProvider', () => {
+  it('finds providers by name and alias', () => {
+    assert.equal(getProvider('GitLab').name, 'gitlab');
+    assert.equal(getProvider('forgejo').name, 'gitea');
+    assert.equal(getProvider('svn'), null);
+  });
+});
+
+describe('gitlab', () => {
+  const gitlab = getProvider('gitlab');
+  const push = {
+    ref: 'refs/heads/main',
+    before: 'b'.repeat(40),
+    after: SHA,
+    checkout_sha: SHA,
+    user_name: 'Jane',
+    total_commits_count: 1,
+    commits: [{ id: SHA, message: 'Fix login', added: ['web/a.js'], modified: ['README.md'], removed: [] }],
+    project: { name: 'shop', path_with_namespace: 'acme/shop', http_url_to_repo: 'https://gitlab.com/acme/shop.git' },
+  };
+
+  it('verifies the token header', () => {
+    assert.equal(gitlab.verify({ headers: { 'x-gitlab-token': SECRET } }, SECRET), true);
+    assert.equal(gitlab.verify({ headers: { 'x-gitlab-token': 'wrong' } }, SECRET), false);
+    assert.equal(gitlab.verify({ headers: {} }, SECRET), false);
+  });
+
+  it('parses a push', () => {
+    const result = gitlab.parse('Push Hook', push);
+    assert.equal(result.type, 'push');
+    assert.equal(result.project.name, 'shop');
+    assert.deepEqual(result.pushes, [{
+      projectPath: 'acme/shop',
+      branch: 'main',
+      commit: SHA,
+      commitMessage: 'Fix login',
+      author: 'Jane',
+      changedFiles: ['web/a.js', 'README.md'],
+    }]);
+  });
+
+  it('leaves changed files unknown for new branches and truncated commit lists', () => {
+    assert.equal(gitlab.parse('Push Hook', { ...push, before: NULL_SHA }).pushes[0].changedFiles, null);
+    assert.equal(gitlab.parse('Push Hook', { ...push, total_commits_count: 25 }).pushes[0].changedFiles, null);
+  });
+
+  it('ignores tags and deleted branches', () => {
+    assert.equal(gitlab.parse('Push Hook', { ...push, ref: 'refs/tags/v1' }).type, 'ignore');
+    assert.equal(gitlab.parse('Push Hook', { ...push, checkout_sha: null, after: NULL_SHA }).type, 'ignore');
+  });
+
+  it('parses merge requests and branch pipelines', () => {
+    const mergeRequest = gitlab.parse('Merge Request Hook', { ...push, object_attributes: { iid: 7, action: 'open', source_project_id: 3, target_project_id: 3 }, user: { name: 'Jane' } });
+    assert.equal(mergeRequest.type, 'merge_request');
+    assert.deepEqual(mergeRequest.mergeRequest, { iid: 7, action: 'open', source_project_id: 3, target_project_id: 3, author: 'Jane', fromFork: false });
+
+    const pipeline = gitlab.parse('Pipeline Hook', {
+      ...push,
+      object_attributes: { id: 42, status: 'success', ref: 'main', sha: SHA },
+      project: { ...push.project, web_url: 'https://gitlab.com/acme/shop' },
+    });
+    assert.equal(pipeline.type, 'pipeline');
+    assert.deepEqual(pipeline.pipeline, { id: 42, status: 'success', url: 'https://gitlab.com/acme/shop/-/pipelines/42' });
+    assert.equal(pipeline.pushes[0].branch, 'main');
+    assert.equal(pipeline.pushes[0].commit, SHA);
+
+    assert.equal(gitlab.parse('Pipeline Hook', { ...push, object_attributes: { id: 43, tag: true } }).type, 'ignore');
+    assert.equal(gitlab.parse('Merge Request Hook', push).type, 'invalid');
+  });
+
+  it('marks merge requests from forks', () => {
+    const mergeRequest = gitlab.parse('Merge Request Hook', { ...push, object_attributes: { iid: 8, action: 'open', source_project_id: 9, target_project_id: 3 } });
+    assert.equal(mergeRequest.mergeRequest.fromFork, true);
+  });
+});
+
+describe('github', () => {
+  const github = getProvider('github');
+  const push = {
+    ref: 'refs/heads/main',
+    after: SHA,
+    created: false,
+    forced: false,
+    head_commit: { message: 'Fix login' },
+    pusher: { name: 'jane' },
+    commits: commits(2),
+    repository: { name: 'shop', full_name: 'acme/shop', clone_url: 'https://github.com/acme/shop.git' },
+  };
+
+  it('verifies the sha256 signature of the raw body', () => {
+    const req = signedRequest(push, 'x-hub-signature-256', 'sha256=');
+    assert.equal(github.verify(req, SECRET), true);
+    assert.equal(github.verify(req, 'other-secret'), false);
+    assert.equal(github.verify({ ...req, rawBody: Buffer.from('{}') }, SECRET), false);
+    assert.equal(github.verify({ headers: {}, rawBody: req.rawBody }, SECRET), false);
+  });
+
+  it('parses a push', () => {
+    const result = github.parse('push', push);
+    assert.equal(result.type, 'push');
+    assert.deepEqual(result.pushes[0], {
+      projectPath: 'acme/shop',
+      branch: 'main',
+      commit: SHA,
+      commitMessage: 'Fix login',
+      author: 'jane',
+      changedFiles: ['src/index.js'],
+    });
+  });
+
+  it('leaves changed files unknown when the commit list may be incomplete', () => {
+    assert.equal(github.parse('push', { ...push, created: true }).pushes[0].changedFiles, null);
+    assert.equal(github.parse('push', { ...push, forced: true }).pushes[0].changedFiles, null);
+    assert.equal(github.parse('push', { ...push, commits: commits(20) }).pushes[0].changedFiles, null);
+    assert.deepEqual(github.parse('push', { ...push, commits: commits(19) }).pushes[0].changedFiles, ['src/index.js']);
+  });
+
+  it('answers pings and ignores tags and deleted branches', () => {
+    assert.equal(github.parse('ping', { hook_id: 1, repository: push.repository }).type, 'ping');
+    assert.equal(github.parse('push', { ...push, ref: 'refs/tags/v1' }).type, 'ignore');
+    assert.equal(github.parse('push', { ...push, deleted: true, after: NULL_SHA }).type, 'ignore');
+  });
+});
+
+describe('gitea', () => {
+  const gitea = getProvider('gitea');
+  const push = {
+    ref: 'refs/heads/dev',
+    before: 'b'.repeat(40),
+    after: SHA,
+    total_commits: 1,
+    commits: commits(1),
+    head_commit: { message: 'Add feature' },
+    pusher: { login: 'jane' },
+    repository: { name: 'shop', full_name: 'acme/shop' },
+  };
+
+  it('verifies Gitea and Forgejo signatures', () => {
+    assert.equal(gitea.verify(signedRequest(push, 'x-gitea-signature'), SECRET), true);
+    assert.equal(gitea.verify(signedRequest(push, 'x-forgejo-signature'), SECRET), true);
+    assert.equal(gitea.verify(signedRequest(push, 'x-gitea-signature', 'sha256='), SECRET), false);
+  });
+
+  it('reads the event from either header', () => {
+    assert.equal(gitea.getEvent({ headers: { 'x-forgejo-event': 'push' } }), 'push');
+    assert.equal(gitea.getEvent({ headers: { 'x-gitea-event': 'push' } }), 'push');
+  });
+
+  it('parses a push', () => {
+    const [parsed] = gitea.parse('push', push).pushes;
+    assert.equal(parsed.branch, 'dev');
+    assert.equal(parsed.author, 'jane');
+    assert.deepEqual(parsed.changedFiles, ['src/index.js']);
+    assert.equal(gitea.parse('push', { ...push, total_commits: 30 }).pushes[0].changedFiles, null);
+  });
+});
+
+describe('bitbucket', () => {
+  const bitbucket = getProvider('bitbucket');
+  const payload = {
+    actor: { display_name: 'Jane' },
+    repository: { name: 'shop', full_name: 'acme/shop', links: { html: { href: 'https://bitbucket.org/acme/shop' } } },
+    push: {
+      changes: [
+        { new: { type: 'branch', name: 'main', target: { hash: SHA, message: 'Fix login' } } },
+        { new: { type: 'tag', name: 'v1', target: { hash: SHA } } },
+        { new: null, old: { type: 'branch', name: 'old' } },
+      ],
+    },
+  };
+
+  it('verifies the sha256 signature', () => {
+    assert.equal(bitbucket.verify(signedRequest(payload, 'x-hub-signature', 'sha256='), SECRET), true);
+    assert.equal(bitbucket.verify(signedRequest(payload, 'x-hub-signature'), SECRET), false);
+  });
+
+  it('deploys the updated branches of a push', () => {
+    const result = bitbucket.parse('repo:push', payload);
+    assert.equal(result.type, 'push');
+    assert.deepEqual(result.project.repoUrls, [
+      'https://bitbucket.org/acme/shop',
+      'https://bitbucket.org/acme/shop.git',
+      'git@bitbucket.org:acme/shop.git',
+    ]);
+    assert.deepEqual(result.pushes, [{ projectPath: 'acme/shop', branch: 'main', commit: SHA, commitMessage: 'Fix login', author: 'Jane' }]);
+  });
+
+  it('ignores pushes without branch updates', () => {
+    assert.equal(bitbucket.parse('repo:push', { ...payload, push: { changes: [] } }).type, 'ignore');
+    assert.equal(bitbucket.parse('diagnostics:ping', payload).type, 'ping');
+  });
+});
+
+describe('generic', () => {
+  const generic = getProvider('generic');
+
+  it('verifies the sha256 signature and defaults to the deploy event', () => {
+    const req = signedRequest({ project: 'shop' }, 'x-signal-signature', 'sha256=');
+    assert.equal(generic.verify(req, SECRET), true);
+    assert.equal(generic.getEvent({ headers: {} }), 'deploy');
+  });
+
+  it('parses a deploy request', () => {
+    assert.deepEqual(generic.parse('deploy', { project: ' shop ', branch: 'main', commit: 'v1.2.0', message: 'Release' }), {
+      type: 'push',
+      project: { name: 'shop', repoUrls: [undefined] },
+      pushes: [{ projectPath: 'shop', branch: 'main', commit: 'v1.2.0', commitMessage: 'Release', author: undefined }],
+    });
+  });
+
+  it('rejects missing or unsafe fields', () => {
+    assert.equal(generic.parse('deploy', { branch: 'main', commit: SHA }).message, 'project is required');
+    assert.equal(generic.parse('deploy', { project: 'shop', commit: SHA }).message, 'branch is required');
+    assert.equal(generic.parse('deploy', { project: 'shop', branch: 'main', commit: '--upload-pack=x' }).type, 'invalid');
+    assert.equal(generic.parse('deploy', { project: 'shop', branch: '../main', commit: SHA }).type, 'invalid');
+  });
+});